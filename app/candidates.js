@@ -0,0 +1,65 @@
+import {
+    MARK_KINDS,
+    getMarkGuess,
+    getMarks,
+    setMark
+} from './marks.js';
+import {
+    createGrid,
+    getCandidates,
+    readValues
+} from './solver.js';
+
+/**
+ * Returns the index of the guess to write candidates with: the current guess if
+ * it writes centre marks, otherwise the first editable one, -1 if there is none.
+ */
+export const getCandidateGuess = (config, currGuess) => getMarkGuess(config, currGuess, MARK_KINDS.CENTRE);
+
+/**
+ * Fills every empty cell of the board with its legal candidates as centre
+ * marks. Modifies config.cells in place.
+ * Returns false if the board type is not supported or there is no guess to
+ * write the marks with.
+ */
+export const fillCandidates = (config, guess) => {
+    const grid = createGrid(config);
+    const values = grid && readValues(grid, config);
+    if (!values || guess === -1) {
+        return false;
+    }
+    const cands = getCandidates(grid, values);
+    for (const i of grid.cells) {
+        const cell = config.cells[Math.floor(i / grid.width)][i % grid.width];
+        if (cell.val === '') {
+            delete cell[MARK_KINDS.CENTRE];
+            grid.symbols.filter((symbol, d) => (cands[i] >> d) & 1)
+                .forEach(symbol => setMark(cell, MARK_KINDS.CENTRE, symbol, guess));
+        }
+    }
+    return true;
+};
+
+/**
+ * Removes val from the corner and centre marks of every peer of the cell at
+ * [r, c], as defined by the board type. Modifies config.cells in place.
+ * Returns true if any mark was removed.
+ */
+export const removeCandidate = (config, r, c, val) => {
+    const grid = createGrid(config);
+    if (grid === undefined || val === '') {
+        return false;
+    }
+    const symbol = `${val}`.toUpperCase();
+    let removed = false;
+    for (const p of grid.peers[r * grid.width + c]) {
+        const cell = config.cells[Math.floor(p / grid.width)][p % grid.width];
+        for (const kind of Object.values(MARK_KINDS)) {
+            if (getMarks(cell, kind).includes(symbol)) {
+                setMark(cell, kind, symbol, -1);
+                removed = true;
+            }
+        }
+    }
+    return removed;
+};
@@ -4,6 +4,17 @@ import React, {
 } from 'react';
 import ReactDOM from 'react-dom';
 
+export const SUDOKU_TYPES = {
+    '12 x 12': '12x12',
+    '16 x 16': '16x16',
+    'Samurai': 'samurai',
+    'Squiggly': 'squiggly',
+    'X': 'x',
+    'Killer': 'killer',
+    'Default': 'default',
+    'Other': 'other'
+};
+
 /**
  * A custom hook for managing adding and removing event listeners
  * eventName - name of the event
@@ -0,0 +1,557 @@
+import { SUDOKU_TYPES } from './common.js';
+import {
+    compressToBase64,
+    compressToURI,
+    decompressFromBase64,
+    decompressFromURI
+} from './lzstring.js';
+import {
+    MARK_KINDS,
+    getMarks,
+    setMark
+} from './marks.js';
+import {
+    RULE_TYPES,
+    UNIT_KINDS,
+    getClueCells,
+    getTypeRules,
+    getWindokuRegions,
+    toNumber
+} from './rules.js';
+import { getSymbols } from './solver.js';
+
+// The type of board for each length of puzzle string
+const STRING_TYPES = {
+    81: SUDOKU_TYPES['Default'],
+    144: SUDOKU_TYPES['12 x 12'],
+    256: SUDOKU_TYPES['16 x 16']
+};
+
+// Characters that mean an empty cell in a puzzle string
+const EMPTY_CHARS = ['.', '0'];
+
+/**
+ * Parses the common single line puzzle format, where each character is a cell
+ * in reading order, a given symbol or '.' or '0' for an empty cell. Boards
+ * larger than 9 use letters after 9 (see getSymbols), so a 16 x 16 board uses
+ * 1-9 and A-G. Whitespace is ignored, so puzzles split over lines work too.
+ * Returns undefined if the string isn't a puzzle, otherwise an object:
+ * {
+ *     type:   one of SUDOKU_TYPES, the board type for the size of the puzzle,
+ *     givens: list of rows of symbols, '' for empty cells
+ * }
+ */
+export const parsePuzzleString = (text) => {
+    const chars = text.replace(/\s/g, '').toUpperCase().split('');
+    const type = STRING_TYPES[chars.length];
+    if (type === undefined) {
+        return undefined;
+    }
+    const size = Math.sqrt(chars.length);
+    const symbols = getSymbols(size);
+    if (!chars.every(char => EMPTY_CHARS.includes(char) || symbols.includes(char))) {
+        return undefined;
+    }
+    const givens = [];
+    for (let r = 0; r < size; r++) {
+        givens.push(chars.slice(r * size, (r + 1) * size)
+            .map(char => EMPTY_CHARS.includes(char) ? '' : char));
+    }
+    return {type, givens};
+};
+
+/**
+ * Writes the givens of the board, the cells with a guess that isn't editable,
+ * in the single line puzzle format (see parsePuzzleString), with '.' for the
+ * other cells.
+ * Returns undefined if the board doesn't fit the format.
+ */
+export const toPuzzleString = (config) => {
+    const [height, width] = config.dimensions.map(dim => Number(dim));
+    if (height !== width || STRING_TYPES[height * width] === undefined
+        || config.type === SUDOKU_TYPES['Samurai']) {
+        return undefined;
+    }
+    const symbols = getSymbols(height);
+    let text = '';
+    for (const row of config.cells) {
+        for (const cell of row) {
+            const guess = config.guesses[cell.guess];
+            const val = `${cell.val}`.toUpperCase();
+            const isGiven = guess && !guess.editable && !guess.isSmall;
+            text += isGiven && symbols.includes(val) ? val : '.';
+        }
+    }
+    return text;
+};
+
+// f-puzzles puzzles are JSON, and are shared in links as compressed base64.
+// SudokuPad opens f-puzzles puzzles from links with the fpuzzles prefix.
+const FPUZZLES_LINK = 'https://www.f-puzzles.com/?load=';
+const SUDOKUPAD_LINK = 'https://sudokupad.app/fpuzzles';
+
+// Keys of an f-puzzles puzzle that aren't constraints
+const FPUZZLES_INFO = ['size', 'title', 'author', 'ruleset', 'grid', 'solution'];
+
+// The guesses of an imported puzzle: givens, big guesses, centre marks and
+// corner marks
+const FPUZZLES_GUESSES = [
+    {color: '#ffffff', isSmall: false, editable: false},
+    {color: '#ff0000', isSmall: false, editable: true},
+    {color: '#ff0000', isSmall: true, editable: true},
+    {color: '#ff0000', isSmall: true, corner: true, editable: true}
+];
+
+const FPUZZLES_DIRECTIONS = {
+    'DR': [1, 1],
+    'DL': [1, -1],
+    'UR': [-1, 1],
+    'UL': [-1, -1]
+};
+
+const toCoord = ([r, c]) => `R${r + 1}C${c + 1}`;
+
+const fromCoord = (coord) => {
+    const match = /^R(\d+)C(\d+)$/i.exec(coord);
+    return match ? [Number(match[1]) - 1, Number(match[2]) - 1] : undefined;
+};
+
+/**
+ * Returns the [height, width] of the regular regions f-puzzles uses for a board
+ * of the given size: as tall as possible without being wider than tall.
+ */
+const getRegionSize = (size) => {
+    let height = Math.floor(Math.sqrt(size));
+    while (size % height !== 0) {
+        height--;
+    }
+    return [height, size / height];
+};
+
+/**
+ * Reads an f-puzzles puzzle from its JSON, an f-puzzles link, a SudokuPad link
+ * to an f-puzzles puzzle, or the compressed data from one of those links.
+ * Returns undefined if the text isn't any of these.
+ */
+export const readFPuzzles = (text) => {
+    try {
+        let json = text.trim();
+        if (!json.startsWith('{')) {
+            const match = /[?&]load=([^&#]+)/.exec(json) || /fpuzzles([^?&#]+)/.exec(json);
+            const data = match ? decodeURIComponent(match[1]) : json;
+            json = decompressFromBase64(data.replace(/ /g, '+'));
+        }
+        const puzzle = json && JSON.parse(json);
+        return puzzle && typeof puzzle === 'object' ? puzzle : undefined;
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/**
+ * Converts an f-puzzles puzzle (see readFPuzzles) into a board config. Givens,
+ * regions, cell colors, pencil marks, and the constraints in rules.js are
+ * kept.
+ * Returns undefined if the puzzle isn't valid, otherwise an object:
+ * {
+ *     config:  the board config, without a version,
+ *     dropped: list of the names of the features that couldn't be converted
+ * }
+ */
+export const fromFPuzzles = (puzzle) => {
+    const size = Number(puzzle.size);
+    if (!Number.isInteger(size) || size < 1 || !Array.isArray(puzzle.grid) || puzzle.grid.length !== size
+        || !puzzle.grid.every(row => Array.isArray(row) && row.length === size)) {
+        return undefined;
+    }
+    const dimensions = [size, size];
+    const symbols = getSymbols(size);
+    const dropped = [];
+    const drop = (feature) => {
+        if (!dropped.includes(feature)) {
+            dropped.push(feature);
+        }
+    };
+
+    const [regionHeight, regionWidth] = getRegionSize(size);
+    let isRegular = true;
+    const cells = puzzle.grid.map((row, r) => row.map((cell, c) => {
+        const box = Math.floor(r / regionHeight) * (size / regionWidth) + Math.floor(c / regionWidth);
+        let group = box;
+        if (cell.region === null) {
+            drop('cells outside every region');
+        } else if (Number.isInteger(cell.region) && cell.region >= 0 && cell.region < size) {
+            group = cell.region;
+        }
+        isRegular = isRegular && group === box;
+        const newCell = {val: '', guess: -1, group};
+        if (cell.value) {
+            newCell.val = symbols[cell.value - 1] || '';
+            newCell.guess = newCell.val === '' ? -1 : (cell.given ? 0 : 1);
+        }
+        // the indexes of the centre and corner mark guesses in FPUZZLES_GUESSES
+        const pencilMarks = [
+            [MARK_KINDS.CENTRE, cell.centerPencilMarks, 2],
+            [MARK_KINDS.CORNER, cell.cornerPencilMarks, 3]
+        ];
+        for (const [kind, marks, guess] of pencilMarks) {
+            for (const mark of Array.isArray(marks) ? marks : []) {
+                if (symbols[mark - 1]) {
+                    setMark(newCell, kind, symbols[mark - 1], guess);
+                }
+            }
+        }
+        if (cell.c) {
+            newCell.color = cell.c;
+        }
+        if (Array.isArray(cell.cl) && cell.cl.length > 1) {
+            drop('cells with more than one color');
+        }
+        return newCell;
+    }));
+
+    const onBoard = ([r, c]) => r >= 0 && r < size && c >= 0 && c < size;
+    // returns the [r, c] coords of a list of f-puzzles cells, undefined if one
+    // of them isn't on the board
+    const cellsOf = (coords) => {
+        const result = (coords || []).map(fromCoord);
+        return result.length > 0 && result.every(cell => cell && onBoard(cell)) ? result : undefined;
+    };
+    const isPair = (pair) => pair && pair.length === 2
+        && Math.abs(pair[0][0] - pair[1][0]) + Math.abs(pair[0][1] - pair[1][1]) === 1;
+    const rules = [];
+    const extraRegions = [];
+    const diagonals = {};
+    const addRule = (rule) => {
+        rules.push(rule);
+        return true;
+    };
+    const addLine = (type, line) => {
+        const lineCells = cellsOf(line);
+        return lineCells !== undefined && addRule({type, cells: lineCells});
+    };
+    const addPair = (type, item) => {
+        const pair = cellsOf(item.cells);
+        return isPair(pair) && addRule({type, cells: pair});
+    };
+    const addClue = (type, item, key, direction) => {
+        const position = fromCoord(item.cell);
+        const value = Number(item.value);
+        if (position === undefined || item.value === '' || isNaN(value)
+            || (type === RULE_TYPES.LITTLE_KILLER && direction === undefined)) {
+            return false;
+        }
+        const clueCells = getClueCells(type, position, dimensions, direction);
+        const clue = {type, position, cells: clueCells, [key]: value};
+        if (direction) {
+            clue.direction = direction;
+        }
+        return clueCells !== undefined && addRule(clue);
+    };
+    // Converters for each f-puzzles constraint. Those that are lists of items
+    // are called with each item, and return false if it can't be converted.
+    const converters = {
+        'diagonal+': () => diagonals.positive = true,
+        'diagonal-': () => diagonals.negative = true,
+        'antiknight': () => addRule({type: RULE_TYPES.ANTI_KNIGHT}),
+        'antiking': () => addRule({type: RULE_TYPES.ANTI_KING}),
+        'nonconsecutive': () => addRule({type: RULE_TYPES.NON_CONSECUTIVE}),
+        'killercage': (item) => {
+            const cageCells = cellsOf(item.cells);
+            const sum = item.value === undefined || item.value === '' ? undefined : Number(item.value);
+            return cageCells !== undefined && addRule({
+                type: RULE_TYPES.CAGE,
+                cells: cageCells.sort((a, b) => a[0] - b[0] || a[1] - b[1]),
+                sum: isNaN(sum) ? undefined : sum
+            });
+        },
+        'thermometer': (item) => (item.lines || []).every(line => addLine(RULE_TYPES.THERMO, line)),
+        'palindrome': (item) => (item.lines || []).every(line => addLine(RULE_TYPES.PALINDROME, line)),
+        'arrow': (item) => {
+            const circle = cellsOf(item.cells);
+            if (circle === undefined || circle.length !== 1) {
+                return false;
+            }
+            return (item.lines || []).every(line => {
+                const lineCells = cellsOf(line);
+                // lines start in the circle, but don't rely on it
+                return lineCells !== undefined && addRule({
+                    type: RULE_TYPES.ARROW,
+                    cells: [circle[0], ...lineCells.filter(([r, c]) => r !== circle[0][0] || c !== circle[0][1])]
+                });
+            });
+        },
+        'difference': (item) => (item.value === undefined || Number(item.value) === 1)
+            && addPair(RULE_TYPES.WHITE_DOT, item),
+        'ratio': (item) => (item.value === undefined || Number(item.value) === 2)
+            && addPair(RULE_TYPES.BLACK_DOT, item),
+        'xv': (item) => {
+            const type = {'X': RULE_TYPES.X, 'V': RULE_TYPES.V}[`${item.value}`.toUpperCase()];
+            return type !== undefined && addPair(type, item);
+        },
+        'extraregion': (item) => {
+            const region = cellsOf(item.cells);
+            return region !== undefined && extraRegions.push(region) > 0;
+        },
+        'sandwichsum': (item) => addClue(RULE_TYPES.SANDWICH, item, 'sum'),
+        'skyscraper': (item) => addClue(RULE_TYPES.SKYSCRAPER, item, 'count'),
+        'littlekillersum': (item) => addClue(RULE_TYPES.LITTLE_KILLER, item, 'sum',
+            FPUZZLES_DIRECTIONS[`${item.direction}`.toUpperCase()])
+    };
+
+    for (const [key, value] of Object.entries(puzzle)) {
+        if (FPUZZLES_INFO.includes(key) || !value || (Array.isArray(value) && value.length === 0)) {
+            continue;
+        }
+        const convert = converters[key];
+        if (convert === undefined) {
+            drop(key);
+        } else if (Array.isArray(value)) {
+            for (const item of value) {
+                if (!convert(item || {})) {
+                    drop(`some ${key} constraints`);
+                }
+            }
+        } else if (value === true) {
+            convert();
+        } else {
+            drop(key);
+        }
+    }
+
+    let type = SUDOKU_TYPES['Other'];
+    const bothDiagonals = diagonals.positive && diagonals.negative;
+    if (size === 9 && isRegular) {
+        type = bothDiagonals
+            ? SUDOKU_TYPES['X']
+            : rules.some(rule => rule.type === RULE_TYPES.CAGE) ? SUDOKU_TYPES['Killer'] : SUDOKU_TYPES['Default'];
+    } else if (size === 9) {
+        type = SUDOKU_TYPES['Squiggly'];
+    } else if ((size === 12 || size === 16) && isRegular) {
+        type = size === 12 ? SUDOKU_TYPES['12 x 12'] : SUDOKU_TYPES['16 x 16'];
+    }
+    const typeRules = type === SUDOKU_TYPES['Other']
+        ? [{type: RULE_TYPES.SQUARE, firstSquare: [0, 0], sideLength: size, groups: undefined}]
+        : getTypeRules(type, dimensions);
+    if (type !== SUDOKU_TYPES['X']) {
+        const negative = [], positive = [];
+        for (let i = 0; i < size; i++) {
+            negative.push([i, i]);
+            positive.push([size - 1 - i, i]);
+        }
+        if (diagonals.negative) {
+            typeRules.push({type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.DIAGONAL, name: 'the main diagonal', cells: negative});
+        }
+        if (diagonals.positive) {
+            typeRules.push({type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.DIAGONAL, name: 'the anti-diagonal', cells: positive});
+        }
+    }
+
+    // extra regions are Windoku if they match its layout, otherwise regions
+    // that must all be different
+    const regionKey = (region) => region.map(cell => `${cell}`).sort().join(' ');
+    const windoku = getWindokuRegions({rules: typeRules}).map(regionKey).sort();
+    const extra = extraRegions.map(regionKey).sort();
+    if (extra.length > 0 && windoku.length === extra.length && windoku.every((key, i) => key === extra[i])) {
+        rules.push({type: RULE_TYPES.WINDOKU});
+    } else {
+        rules.push(...extraRegions.map((cells, i) => ({
+            type: RULE_TYPES.UNIQUE,
+            name: `extra region ${i + 1}`,
+            cells
+        })));
+    }
+
+    const config = {
+        dimensions,
+        cells,
+        groups: symbols.map(symbol => ({color: '#000000'})),
+        guesses: FPUZZLES_GUESSES.map(guess => ({...guess})),
+        type,
+        rules: [...typeRules, ...rules],
+        elapsed: 0
+    };
+    if (puzzle.title) {
+        config.fileName = `${puzzle.title}.json`;
+    }
+    return {config, dropped};
+};
+
+/**
+ * Converts a board config into an f-puzzles puzzle, see fromFPuzzles.
+ * Returns undefined if the board isn't square or is a samurai board, otherwise
+ * an object:
+ * {
+ *     puzzle:  the f-puzzles puzzle,
+ *     dropped: list of the names of the features that couldn't be converted
+ * }
+ */
+export const toFPuzzles = (config) => {
+    const [height, width] = config.dimensions.map(dim => Number(dim));
+    if (height !== width || config.type === SUDOKU_TYPES['Samurai']) {
+        return undefined;
+    }
+    const size = height;
+    const dropped = [];
+    const drop = (feature) => {
+        if (!dropped.includes(feature)) {
+            dropped.push(feature);
+        }
+    };
+    const puzzle = {size};
+    if (config.fileName) {
+        puzzle.title = config.fileName.replace(/\.json$/, '');
+    }
+    const usesCellGroups = config.rules.some(rule => rule.type === RULE_TYPES.SQUARE && rule.groups === undefined);
+    puzzle.grid = config.cells.map(row => row.map(cell => {
+        const newCell = {};
+        const guess = config.guesses[cell.guess];
+        const values = `${cell.val}`.split('').map(toNumber).filter(value => value >= 1 && value <= size);
+        if (guess && values.length === 1) {
+            newCell.value = values[0];
+            if (!guess.editable) {
+                newCell.given = true;
+            }
+        }
+        const marks = (kind) => getMarks(cell, kind).map(toNumber).filter(value => value >= 1 && value <= size);
+        if (cell.val === '' && marks(MARK_KINDS.CENTRE).length > 0) {
+            newCell.centerPencilMarks = marks(MARK_KINDS.CENTRE);
+        }
+        if (cell.val === '' && marks(MARK_KINDS.CORNER).length > 0) {
+            newCell.cornerPencilMarks = marks(MARK_KINDS.CORNER);
+        }
+        if (usesCellGroups) {
+            newCell.region = cell.group;
+        }
+        if (cell.color) {
+            newCell.c = cell.color;
+        }
+        return newCell;
+    }));
+
+    const add = (key, item) => {
+        puzzle[key] = [...(puzzle[key] || []), item];
+    };
+    const coords = (cells) => cells.map(toCoord);
+    for (const rule of config.rules) {
+        switch (rule.type) {
+            case RULE_TYPES.SQUARE:
+                break;
+            case RULE_TYPES.UNIQUE:
+                if (rule.kind === UNIT_KINDS.DIAGONAL && rule.cells.length === size
+                    && rule.cells.every(([r, c]) => r === c)) {
+                    puzzle['diagonal-'] = true;
+                } else if (rule.kind === UNIT_KINDS.DIAGONAL && rule.cells.length === size
+                    && rule.cells.every(([r, c]) => r + c === size - 1)) {
+                    puzzle['diagonal+'] = true;
+                } else {
+                    add('extraregion', {cells: coords(rule.cells)});
+                }
+                break;
+            case RULE_TYPES.CAGE:
+                add('killercage', rule.sum !== undefined
+                    ? {cells: coords(rule.cells), value: `${rule.sum}`}
+                    : {cells: coords(rule.cells)});
+                break;
+            case RULE_TYPES.THERMO:
+                add('thermometer', {lines: [coords(rule.cells)]});
+                break;
+            case RULE_TYPES.ARROW:
+                add('arrow', {cells: [toCoord(rule.cells[0])], lines: [coords(rule.cells)]});
+                break;
+            case RULE_TYPES.PALINDROME:
+                add('palindrome', {lines: [coords(rule.cells)]});
+                break;
+            case RULE_TYPES.WHITE_DOT:
+                add('difference', {cells: coords(rule.cells)});
+                break;
+            case RULE_TYPES.BLACK_DOT:
+                add('ratio', {cells: coords(rule.cells)});
+                break;
+            case RULE_TYPES.X:
+            case RULE_TYPES.V:
+                add('xv', {cells: coords(rule.cells), value: rule.type === RULE_TYPES.X ? 'X' : 'V'});
+                break;
+            case RULE_TYPES.ANTI_KNIGHT:
+                puzzle.antiknight = true;
+                break;
+            case RULE_TYPES.ANTI_KING:
+                puzzle.antiking = true;
+                break;
+            case RULE_TYPES.NON_CONSECUTIVE:
+                puzzle.nonconsecutive = true;
+                break;
+            case RULE_TYPES.WINDOKU:
+                for (const region of getWindokuRegions(config)) {
+                    add('extraregion', {cells: coords(region)});
+                }
+                break;
+            case RULE_TYPES.SANDWICH:
+                add('sandwichsum', {cell: toCoord(rule.position), value: `${rule.sum}`});
+                break;
+            case RULE_TYPES.SKYSCRAPER:
+                add('skyscraper', {cell: toCoord(rule.position), value: `${rule.count}`});
+                break;
+            case RULE_TYPES.LITTLE_KILLER:
+                add('littlekillersum', {
+                    cell: toCoord(rule.position),
+                    cells: coords(rule.cells),
+                    direction: Object.keys(FPUZZLES_DIRECTIONS).find(key =>
+                        FPUZZLES_DIRECTIONS[key][0] === rule.direction[0]
+                        && FPUZZLES_DIRECTIONS[key][1] === rule.direction[1]),
+                    value: `${rule.sum}`
+                });
+                break;
+            case RULE_TYPES.GREATER:
+                drop('greater than signs');
+                break;
+            default:
+                drop(rule.type);
+                break;
+        }
+    }
+    return {puzzle, dropped};
+};
+
+/**
+ * Returns links that open an f-puzzles puzzle in f-puzzles and in SudokuPad.
+ */
+export const getFPuzzlesLinks = (puzzle) => {
+    const data = compressToBase64(JSON.stringify(puzzle));
+    return {
+        fpuzzles: FPUZZLES_LINK + data,
+        sudokupad: SUDOKUPAD_LINK + data
+    };
+};
+
+// Start of the compressed config in the URL hash of a share link
+const SHARE_KEY = 'sudoku=';
+
+/**
+ * Returns a URL hash that holds the whole board config, compressed, so a link
+ * opens the same board with the same progress. The file name, rating and
+ * validation errors are left out.
+ */
+export const toShareHash = (config) => {
+    const {fileName, rating, ...shared} = config;
+    shared.cells = config.cells.map(row => row.map(({error, markError, ...cell}) => cell));
+    return `#${SHARE_KEY}${compressToURI(JSON.stringify(shared))}`;
+};
+
+/**
+ * Reads the board config from a URL hash made by toShareHash.
+ * Returns undefined if the hash doesn't hold a config.
+ */
+export const fromShareHash = (hash) => {
+    const index = hash.indexOf(SHARE_KEY);
+    if (index === -1) {
+        return undefined;
+    }
+    try {
+        const json = decompressFromURI(decodeURIComponent(hash.slice(index + SHARE_KEY.length)));
+        const config = json && JSON.parse(json);
+        return config && Array.isArray(config.cells) && Array.isArray(config.dimensions) ? config : undefined;
+    } catch (e) {
+        return undefined;
+    }
+};
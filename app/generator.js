@@ -0,0 +1,288 @@
+import { SUDOKU_TYPES } from './common.js';
+import {
+    DIFFICULTIES,
+    EXTREME,
+    rateValues
+} from './hints.js';
+import {
+    getGlobalRules,
+    getTypeRules
+} from './rules.js';
+import {
+    createGrid,
+    getCandidates,
+    searchCandidates,
+    solveGrid
+} from './solver.js';
+
+// Difficulty ratings from easiest to hardest, see ratePuzzle
+const RATING_ORDER = [...Object.values(DIFFICULTIES), EXTREME];
+
+// Fraction of the puzzle cells kept as givens once the puzzle has the chosen
+// difficulty, so easy puzzles aren't stripped to the bare minimum. Expert
+// removes givens until none can be removed.
+const GIVEN_RATIOS = {
+    [DIFFICULTIES['Easy']]: 0.5,
+    [DIFFICULTIES['Medium']]: 0.4,
+    [DIFFICULTIES['Hard']]: 0.33,
+    [DIFFICULTIES['Expert']]: 0
+};
+
+// How long to keep generating puzzles for the chosen difficulty, in ms, before
+// settling for the closest one. Some difficulties are rare on some boards.
+const TIME_LIMIT = 10000;
+
+// Longest stretch of generating done at a time, in ms, before the browser gets
+// a turn to keep the page responsive
+const CHUNK_TIME = 50;
+
+// Number of successful swaps done when scrambling the squiggly groups
+const SQUIGGLY_SWAPS = 300;
+
+// Number of guesses the solver gets to fill a squiggly layout before a new
+// layout is tried, since some layouts take very long to prove unsolvable
+const SQUIGGLY_GUESSES = 5000;
+
+const shuffle = (list) => {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+};
+
+const randomItem = (list) => list[Math.floor(Math.random() * list.length)];
+
+/**
+ * Returns a random irregular layout of n groups of n cells for an n x n board,
+ * as a list of rows of group indices. Every group is orthogonally connected.
+ * Starts from the regular 3x3 boxes and repeatedly swaps a pair of cells across
+ * a group border, keeping the swap if both groups stay connected.
+ */
+export const generateSquigglyGroups = (n = 9) => {
+    const boxSize = Math.sqrt(n);
+    const groups = [];
+    for (let r = 0; r < n; r++) {
+        const row = [];
+        for (let c = 0; c < n; c++) {
+            row.push(Math.floor(c / boxSize) + boxSize * Math.floor(r / boxSize));
+        }
+        groups.push(row);
+    }
+    const neighbors = (r, c) => [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]
+        .filter(([r1, c1]) => r1 >= 0 && r1 < n && c1 >= 0 && c1 < n);
+    const isConnected = (group) => {
+        const cells = [];
+        for (let r = 0; r < n; r++) {
+            for (let c = 0; c < n; c++) {
+                if (groups[r][c] === group) {
+                    cells.push([r, c]);
+                }
+            }
+        }
+        const seen = new Set([`${cells[0]}`]);
+        const stack = [cells[0]];
+        while (stack.length > 0) {
+            const [r, c] = stack.pop();
+            for (const [r1, c1] of neighbors(r, c)) {
+                if (groups[r1][c1] === group && !seen.has(`${[r1, c1]}`)) {
+                    seen.add(`${[r1, c1]}`);
+                    stack.push([r1, c1]);
+                }
+            }
+        }
+        return seen.size === cells.length;
+    };
+
+    let swaps = 0;
+    while (swaps < SQUIGGLY_SWAPS) {
+        // a moves from group A to group B, b moves from group B to group A
+        const [ar, ac] = [Math.floor(Math.random() * n), Math.floor(Math.random() * n)];
+        const groupA = groups[ar][ac];
+        const others = neighbors(ar, ac).filter(([r, c]) => groups[r][c] !== groupA);
+        if (others.length === 0) {
+            continue;
+        }
+        const [or, oc] = randomItem(others);
+        const groupB = groups[or][oc];
+        const candidates = [];
+        for (let r = 0; r < n; r++) {
+            for (let c = 0; c < n; c++) {
+                if (groups[r][c] === groupB &&
+                    neighbors(r, c).some(([r1, c1]) => groups[r1][c1] === groupA && !(r1 === ar && c1 === ac))) {
+                    candidates.push([r, c]);
+                }
+            }
+        }
+        if (candidates.length === 0) {
+            continue;
+        }
+        const [br, bc] = randomItem(candidates);
+        groups[ar][ac] = groupB;
+        groups[br][bc] = groupA;
+        if (isConnected(groupA) && isConnected(groupB)) {
+            swaps++;
+        } else {
+            groups[ar][ac] = groupA;
+            groups[br][bc] = groupB;
+        }
+    }
+    return groups;
+};
+
+/**
+ * Returns a random solved grid for the layout of config, or undefined if the
+ * type can't be generated. Squiggly boards get a new random group layout.
+ * Returns {grid, solution, groups}, groups is only set for squiggly boards.
+ */
+const generateSolution = (config) => {
+    let layout = config;
+    let groups = undefined;
+    let grid, solution;
+    do {
+        if (config.type === SUDOKU_TYPES['Squiggly']) {
+            groups = generateSquigglyGroups(9);
+            layout = {
+                ...config,
+                dimensions: [9, 9],
+                rules: [...getTypeRules(config.type, [9, 9]), ...getGlobalRules(config.rules)],
+                groups: groups.map(g => ({color: '#000000'})),
+                cells: groups.map(row => row.map(group => ({val: '', guess: -1, group})))
+            };
+        }
+        grid = createGrid(layout);
+        if (grid === undefined) {
+            return undefined;
+        }
+        const empty = new Array(grid.height * grid.width).fill(-1);
+        [solution] = solveGrid(grid, empty, 1, true, groups === undefined ? Infinity : SQUIGGLY_GUESSES);
+    } while (solution === undefined && groups !== undefined);
+    return solution === undefined ? undefined : {grid, solution, groups};
+};
+
+/**
+ * Starts a new puzzle from a random solved grid, see generateSolution, whose
+ * givens are then taken away one at a time with removeGiven.
+ * Returns undefined if the type can't be generated, otherwise:
+ * {
+ *     grid, solution, groups: see generateSolution,
+ *     values:    the givens so far, -1 for the removed ones,
+ *     order:     the cells in the order their givens are tried,
+ *     next:      index in order of the next given to try,
+ *     numGivens: number of givens left,
+ *     rating:    the rating of the givens so far, see ratePuzzle
+ * }
+ */
+const startPuzzle = (config) => {
+    const generated = generateSolution(config);
+    if (generated === undefined) {
+        return undefined;
+    }
+    const {grid, solution} = generated;
+    return {
+        ...generated,
+        values: [...solution],
+        order: shuffle([...grid.cells]),
+        next: 0,
+        numGivens: grid.cells.length,
+        rating: rateValues(grid, solution)
+    };
+};
+
+/**
+ * Tries to remove the next given of a puzzle from startPuzzle, keeping it out
+ * if the solution stays unique and the puzzle isn't rated harder than
+ * difficulty. Modifies the puzzle in place.
+ * Returns whether the puzzle is done: it has that difficulty and few enough
+ * givens (see GIVEN_RATIOS), or every given has been tried.
+ */
+const removeGiven = (puzzle, difficulty) => {
+    const {grid, solution, values} = puzzle;
+    const target = Math.floor(grid.cells.length * GIVEN_RATIOS[difficulty]);
+    const reached = puzzle.rating.difficulty === difficulty && puzzle.numGivens <= target;
+    if (reached || puzzle.next >= puzzle.order.length) {
+        return true;
+    }
+    const i = puzzle.order[puzzle.next++];
+    values[i] = -1;
+    // Since the puzzle was unique before removing a given, any other solution
+    // must differ at the removed cell, so only look for one of those.
+    const cands = getCandidates(grid, values);
+    cands[i] &= ~(1 << solution[i]);
+    const rating = searchCandidates(grid, cands, 1).length === 0
+        ? rateValues(grid, values)
+        : undefined;
+    if (rating && RATING_ORDER.indexOf(rating.difficulty) <= RATING_ORDER.indexOf(difficulty)) {
+        puzzle.rating = rating;
+        puzzle.numGivens--;
+    } else {
+        values[i] = solution[i];
+    }
+    return false;
+};
+
+/**
+ * Generates a puzzle with a unique solution for the layout of config, which
+ * should already be set up for its type (see layoutType). Squiggly boards get
+ * a new random group layout. The work is done in short chunks, so the page
+ * stays responsive.
+ * @param difficulty: one of DIFFICULTIES, the rating (see ratePuzzle) the
+ *                    puzzle should have. Puzzles are generated until one has
+ *                    it, for up to TIME_LIMIT, then the closest one is used.
+ * Returns a Promise, resolving with undefined if the type can't be generated,
+ * otherwise with an object:
+ * {
+ *     givens: list of rows of symbols, '' for empty cells,
+ *     groups: for squiggly boards, list of rows of group indices,
+ *     rating: the rating of the puzzle, see ratePuzzle. It is easier than
+ *             difficulty if no puzzle had that difficulty in time.
+ * }
+ */
+export const generatePuzzle = (config, difficulty) => new Promise(resolve => {
+    const start = Date.now();
+    // every puzzle is rated at most difficulty, so the closest is the hardest
+    let best = undefined;
+    let puzzle = undefined;
+
+    const finish = () => {
+        const {grid, values, groups, rating} = best;
+        const givens = [];
+        for (let r = 0; r < grid.height; r++) {
+            const row = [];
+            for (let c = 0; c < grid.width; c++) {
+                const value = values[r * grid.width + c];
+                row.push(value === -1 ? '' : grid.symbols[value]);
+            }
+            givens.push(row);
+        }
+        resolve({givens, groups, rating});
+    };
+
+    const run = () => {
+        const chunkStart = Date.now();
+        while (Date.now() - chunkStart < CHUNK_TIME) {
+            if (puzzle === undefined) {
+                puzzle = startPuzzle(config);
+                if (puzzle === undefined) {
+                    resolve(undefined);
+                    return;
+                }
+            }
+            const done = removeGiven(puzzle, difficulty);
+            const timeUp = Date.now() - start >= TIME_LIMIT;
+            if (done || timeUp) {
+                if (best === undefined
+                    || RATING_ORDER.indexOf(puzzle.rating.difficulty) > RATING_ORDER.indexOf(best.rating.difficulty)) {
+                    best = puzzle;
+                }
+                if ((done && puzzle.rating.difficulty === difficulty) || timeUp) {
+                    finish();
+                    return;
+                }
+                puzzle = undefined;
+            }
+        }
+        setTimeout(run, 0);
+    };
+    setTimeout(run, 0);
+});
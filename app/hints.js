@@ -0,0 +1,549 @@
+import {
+    MARK_KINDS,
+    getMarks
+} from './marks.js';
+import { UNIT_KINDS } from './rules.js';
+import {
+    createGrid,
+    getCandidates,
+    readValues,
+    solveGrid
+} from './solver.js';
+
+/**
+ * The human solving techniques the hint engine knows, in the order they are
+ * tried. score is a rough measure of how hard the technique is to spot.
+ */
+export const TECHNIQUES = {
+    NAKED_SINGLE: {name: 'Naked single', score: 1},
+    HIDDEN_SINGLE: {name: 'Hidden single', score: 1},
+    POINTING: {name: 'Pointing pair', score: 2},
+    CLAIMING: {name: 'Box/line reduction', score: 2},
+    LOCKED: {name: 'Locked candidates', score: 2},
+    NAKED_PAIR: {name: 'Naked pair', score: 3},
+    HIDDEN_PAIR: {name: 'Hidden pair', score: 4},
+    NAKED_TRIPLE: {name: 'Naked triple', score: 4},
+    HIDDEN_TRIPLE: {name: 'Hidden triple', score: 5},
+    X_WING: {name: 'X-Wing', score: 6},
+    SWORDFISH: {name: 'Swordfish', score: 7}
+};
+
+export const DIFFICULTIES = {
+    'Easy': 'easy',
+    'Medium': 'medium',
+    'Hard': 'hard',
+    'Expert': 'expert'
+};
+
+/**
+ * Difficulty ratings, by the score of the hardest technique a puzzle needs.
+ * Puzzles the known techniques can't finish are rated EXTREME.
+ */
+export const EXTREME = 'extreme';
+const RATING_LEVELS = [
+    [1, DIFFICULTIES['Easy']],
+    [2, DIFFICULTIES['Medium']],
+    [5, DIFFICULTIES['Hard']],
+    [7, DIFFICULTIES['Expert']]
+];
+
+export const HINT_STATUS = {
+    FOUND: 'found',
+    STUCK: 'stuck',
+    SOLVED: 'solved',
+    MISTAKE: 'mistake',
+    WRONG_MARKS: 'wrong_marks',
+    INVALID: 'invalid',
+    UNSUPPORTED: 'unsupported'
+};
+
+const popcount = (n) => {
+    let count = 0;
+    while (n) {
+        n &= n - 1;
+        count++;
+    }
+    return count;
+};
+
+const bitsOf = (n) => {
+    const bits = [];
+    for (let d = 0; n >> d; d++) {
+        if ((n >> d) & 1) {
+            bits.push(d);
+        }
+    }
+    return bits;
+};
+
+/* Returns every combination of k items of list */
+const combinations = (list, k, start = 0) => {
+    if (k === 0) {
+        return [[]];
+    }
+    const result = [];
+    for (let i = start; i <= list.length - k; i++) {
+        for (const rest of combinations(list, k - 1, i + 1)) {
+            result.push([list[i], ...rest]);
+        }
+    }
+    return result;
+};
+
+/* Joins a list of words as 'a, b and c' */
+const joinAnd = (words) => words.length <= 1
+    ? words.join('')
+    : `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+
+const joinOr = (words) => words.length <= 1
+    ? words.join('')
+    : `${words.slice(0, -1).join(', ')} or ${words[words.length - 1]}`;
+
+/**
+ * Creates the state the hint engine works on, from a grid (see createGrid) and
+ * a list of values (see readValues).
+ * {
+ *     grid,
+ *     values:  symbol index of each cell, -1 if unsolved,
+ *     cands:   candidate bitmask of each cell,
+ *     unitsOf: for each cell index, the indices of the units it belongs to
+ * }
+ */
+export const createState = (grid, values) => {
+    const unitsOf = [];
+    for (let i = 0; i < grid.height * grid.width; i++) {
+        unitsOf.push([]);
+    }
+    for (const [u, unit] of grid.units.entries()) {
+        for (const i of unit.cells) {
+            unitsOf[i].push(u);
+        }
+    }
+    return {
+        grid,
+        values: [...values],
+        cands: getCandidates(grid, values),
+        unitsOf
+    };
+};
+
+const cellName = (grid, i) => `r${Math.floor(i / grid.width) + 1}c${i % grid.width + 1}`;
+
+const cellNames = (grid, cells) => joinAnd(cells.map(i => cellName(grid, i)));
+
+const symbolNames = (grid, mask) => bitsOf(mask).map(d => grid.symbols[d]);
+
+const isUnsolved = (state, i) => state.values[i] === -1;
+
+const isFullUnit = (state, unit) => unit.cells.length === state.grid.size;
+
+/* Unsolved cells of the unit that can hold symbol d */
+const positionsOf = (state, unit, d) =>
+    unit.cells.filter(i => isUnsolved(state, i) && (state.cands[i] >> d) & 1);
+
+const isPlaced = (state, unit, d) => unit.cells.some(i => state.values[i] === d);
+
+/* Builds a step that removes the bits of mask from every cell of targets */
+const eliminate = (state, targets, mask) => targets
+    .filter(i => isUnsolved(state, i) && (state.cands[i] & mask))
+    .map(i => [i, state.cands[i] & mask]);
+
+const findNakedSingle = (state) => {
+    const {grid} = state;
+    for (const i of grid.cells) {
+        const cand = state.cands[i];
+        if (isUnsolved(state, i) && popcount(cand) === 1) {
+            const [d] = bitsOf(cand);
+            return {
+                technique: 'NAKED_SINGLE',
+                explanation: `${cellName(grid, i)} can only be ${grid.symbols[d]}, ` +
+                    'every other value is already used by a cell that it sees.',
+                cells: [i],
+                placements: [[i, d]],
+                eliminations: []
+            };
+        }
+    }
+};
+
+const findHiddenSingle = (state) => {
+    const {grid} = state;
+    for (const unit of grid.units) {
+        if (!isFullUnit(state, unit)) {
+            continue;
+        }
+        for (let d = 0; d < grid.size; d++) {
+            if (isPlaced(state, unit, d)) {
+                continue;
+            }
+            const positions = positionsOf(state, unit, d);
+            if (positions.length === 1) {
+                const [i] = positions;
+                return {
+                    technique: 'HIDDEN_SINGLE',
+                    explanation: `${grid.symbols[d]} can only go in ${cellName(grid, i)} within ${unit.name}.`,
+                    cells: unit.cells,
+                    placements: [[i, d]],
+                    eliminations: []
+                };
+            }
+        }
+    }
+};
+
+/**
+ * If every position of a symbol in one unit is also inside a second unit, the
+ * symbol must be in their intersection, so it can be removed from the rest of
+ * the second unit.
+ */
+const findLockedCandidates = (state) => {
+    const {grid} = state;
+    for (const [a, unitA] of grid.units.entries()) {
+        if (!isFullUnit(state, unitA)) {
+            continue;
+        }
+        for (let d = 0; d < grid.size; d++) {
+            const positions = positionsOf(state, unitA, d);
+            if (positions.length < 2 || isPlaced(state, unitA, d)) {
+                continue;
+            }
+            for (const b of state.unitsOf[positions[0]]) {
+                const unitB = grid.units[b];
+                if (b === a || !positions.every(i => unitB.cells.includes(i))) {
+                    continue;
+                }
+                const rest = unitB.cells.filter(i => !unitA.cells.includes(i));
+                const eliminations = eliminate(state, rest, 1 << d);
+                if (eliminations.length === 0) {
+                    continue;
+                }
+                const isLine = (unit) => unit.kind === UNIT_KINDS.ROW || unit.kind === UNIT_KINDS.COLUMN;
+                const technique = unitA.kind === UNIT_KINDS.GROUP && isLine(unitB)
+                    ? 'POINTING'
+                    : isLine(unitA) && unitB.kind === UNIT_KINDS.GROUP
+                        ? 'CLAIMING'
+                        : 'LOCKED';
+                const symbol = grid.symbols[d];
+                return {
+                    technique,
+                    explanation: `In ${unitA.name}, ${symbol} can only go in ${cellNames(grid, positions)}, ` +
+                        `which are all in ${unitB.name}. So ${symbol} can be removed from the rest of ` +
+                        `${unitB.name}: ${cellNames(grid, eliminations.map(([i]) => i))}.`,
+                    cells: [...unitA.cells, ...positions],
+                    placements: [],
+                    eliminations
+                };
+            }
+        }
+    }
+};
+
+/**
+ * n unsolved cells of a unit that together have only n candidates must hold
+ * those candidates, so they can be removed from the rest of the unit.
+ */
+const findNakedSubset = (n, technique) => (state) => {
+    const {grid} = state;
+    for (const unit of grid.units) {
+        const cells = unit.cells.filter(i => isUnsolved(state, i) && popcount(state.cands[i]) <= n);
+        for (const subset of combinations(cells, n)) {
+            const mask = subset.reduce((m, i) => m | state.cands[i], 0);
+            if (popcount(mask) !== n) {
+                continue;
+            }
+            const rest = unit.cells.filter(i => !subset.includes(i));
+            const eliminations = eliminate(state, rest, mask);
+            if (eliminations.length === 0) {
+                continue;
+            }
+            const symbols = symbolNames(grid, mask);
+            return {
+                technique,
+                explanation: `${cellNames(grid, subset)} can only be ${joinOr(symbols)}, so ` +
+                    `${joinAnd(symbols)} can be removed from the rest of ${unit.name}: ` +
+                    `${cellNames(grid, eliminations.map(([i]) => i))}.`,
+                cells: [...unit.cells],
+                placements: [],
+                eliminations
+            };
+        }
+    }
+};
+
+/**
+ * n symbols that can only go in the same n cells of a unit must fill those
+ * cells, so every other candidate can be removed from them.
+ */
+const findHiddenSubset = (n, technique) => (state) => {
+    const {grid} = state;
+    for (const unit of grid.units) {
+        if (!isFullUnit(state, unit)) {
+            continue;
+        }
+        const symbols = [];
+        for (let d = 0; d < grid.size; d++) {
+            const count = positionsOf(state, unit, d).length;
+            if (!isPlaced(state, unit, d) && count >= 2 && count <= n) {
+                symbols.push(d);
+            }
+        }
+        for (const subset of combinations(symbols, n)) {
+            const cells = [...new Set(subset.map(d => positionsOf(state, unit, d)).flat())];
+            if (cells.length !== n) {
+                continue;
+            }
+            const mask = subset.reduce((m, d) => m | (1 << d), 0);
+            const eliminations = cells
+                .filter(i => state.cands[i] & ~mask)
+                .map(i => [i, state.cands[i] & ~mask]);
+            if (eliminations.length === 0) {
+                continue;
+            }
+            return {
+                technique,
+                explanation: `In ${unit.name}, ${joinAnd(symbolNames(grid, mask))} can only go in ` +
+                    `${cellNames(grid, cells)}, so every other candidate can be removed from those cells.`,
+                cells: [...unit.cells],
+                placements: [],
+                eliminations
+            };
+        }
+    }
+};
+
+/**
+ * Fish: if in n disjoint rows a symbol can only go in n columns, then each of
+ * those columns holds the symbol in one of the rows, and it can be removed from
+ * the rest of the columns. The same works with rows and columns swapped.
+ */
+const findFish = (n, technique) => (state) => {
+    const {grid} = state;
+    const kinds = [[UNIT_KINDS.ROW, UNIT_KINDS.COLUMN], [UNIT_KINDS.COLUMN, UNIT_KINDS.ROW]];
+    for (let d = 0; d < grid.size; d++) {
+        for (const [baseKind, coverKind] of kinds) {
+            const lineOf = (i) => baseKind === UNIT_KINDS.ROW ? i % grid.width : Math.floor(i / grid.width);
+            const bases = grid.units.filter(unit => {
+                if (unit.kind !== baseKind || !isFullUnit(state, unit) || isPlaced(state, unit, d)) {
+                    return false;
+                }
+                const count = positionsOf(state, unit, d).length;
+                return count >= 2 && count <= n;
+            });
+            for (const subset of combinations(bases, n)) {
+                const baseCells = subset.map(unit => unit.cells).flat();
+                if (new Set(baseCells).size !== baseCells.length) {
+                    continue;
+                }
+                const positions = subset.map(unit => positionsOf(state, unit, d)).flat();
+                const lines = [...new Set(positions.map(lineOf))];
+                if (lines.length !== n) {
+                    continue;
+                }
+                // For each line, find a unit that contains all of its positions
+                const covers = lines.map(line => {
+                    const onLine = positions.filter(i => lineOf(i) === line);
+                    return grid.units.find(unit => unit.kind === coverKind &&
+                        onLine.every(i => unit.cells.includes(i)));
+                });
+                if (covers.includes(undefined)) {
+                    continue;
+                }
+                const rest = covers.map(unit => unit.cells).flat().filter(i => !positions.includes(i));
+                const eliminations = eliminate(state, [...new Set(rest)], 1 << d);
+                if (eliminations.length === 0) {
+                    continue;
+                }
+                const symbol = grid.symbols[d];
+                return {
+                    technique,
+                    explanation: `In ${joinAnd(subset.map(unit => unit.name))}, ${symbol} can only go in ` +
+                        `${joinAnd(covers.map(unit => unit.name))}. So ${symbol} can be removed from the rest ` +
+                        `of those ${coverKind}s: ${cellNames(grid, eliminations.map(([i]) => i))}.`,
+                    cells: [...baseCells, ...positions],
+                    placements: [],
+                    eliminations
+                };
+            }
+        }
+    }
+};
+
+const FINDERS = [
+    findNakedSingle,
+    findHiddenSingle,
+    findLockedCandidates,
+    findNakedSubset(2, 'NAKED_PAIR'),
+    findHiddenSubset(2, 'HIDDEN_PAIR'),
+    findNakedSubset(3, 'NAKED_TRIPLE'),
+    findHiddenSubset(3, 'HIDDEN_TRIPLE'),
+    findFish(2, 'X_WING'),
+    findFish(3, 'SWORDFISH')
+];
+
+/**
+ * Returns the easiest next step on the state, or undefined if none of the
+ * techniques apply. A step looks like:
+ * {
+ *     technique:    key of TECHNIQUES,
+ *     explanation:  text explaining the step,
+ *     cells:        list of cell indices involved in the deduction,
+ *     placements:   list of [cell index, symbol index] to fill in,
+ *     eliminations: list of [cell index, bitmask of candidates to remove]
+ * }
+ */
+export const findStep = (state) => {
+    for (const finder of FINDERS) {
+        const step = finder(state);
+        if (step) {
+            return step;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Applies a step to the state, modifying it in place.
+ */
+export const applyStep = (state, step) => {
+    for (const [i, d] of step.placements) {
+        state.values[i] = d;
+        state.cands[i] = 1 << d;
+        for (const p of state.grid.peers[i]) {
+            if (isUnsolved(state, p)) {
+                state.cands[p] &= ~(1 << d);
+            }
+        }
+    }
+    for (const [i, mask] of step.eliminations) {
+        state.cands[i] &= ~mask;
+    }
+};
+
+/**
+ * Finds the next logical deduction on the board. Eliminations do not change
+ * the board, so the hint is every step needed to reach the next cell that can
+ * be filled in. Steps whose eliminations are already made in the centre
+ * marks are left out.
+ * Returns an object:
+ * {
+ *     status: one of HINT_STATUS,
+ *     steps:  list of steps, each with
+ *     {
+ *         technique:   key of TECHNIQUES,
+ *         explanation: text explaining the step,
+ *         cells:       list of [r, c] coords involved in the step,
+ *         targets:     list of [r, c] coords that are filled in or have
+ *                      candidates removed
+ *     },
+ *     cells:  if status is WRONG_MARKS, list of [r, c] coords of the cells
+ *             whose centre marks rule out their answer
+ * }
+ */
+export const findHint = (config) => {
+    const grid = createGrid(config);
+    if (grid === undefined) {
+        return {status: HINT_STATUS.UNSUPPORTED, steps: []};
+    }
+    const values = readValues(grid, config);
+    if (values === undefined) {
+        return {status: HINT_STATUS.INVALID, steps: []};
+    }
+    if (grid.cells.every(i => values[i] !== -1)) {
+        return {status: HINT_STATUS.SOLVED, steps: []};
+    }
+    const solutions = solveGrid(grid, values, 2);
+    if (solutions.length === 0) {
+        return {status: HINT_STATUS.MISTAKE, steps: []};
+    }
+
+    const toCoords = (i) => [Math.floor(i / grid.width), i % grid.width];
+    const state = createState(grid, values);
+    // the centre marks of each unsolved cell as a candidate bitmask
+    const markMasks = grid.cells.filter(i => values[i] === -1).map(i => {
+        const [r, c] = toCoords(i);
+        const marks = getMarks(config.cells[r][c], MARK_KINDS.CENTRE);
+        const mask = marks.reduce((mask, mark) => {
+            const d = grid.symbols.indexOf(mark);
+            return d === -1 ? mask : mask | (1 << d);
+        }, 0);
+        return [i, marks.length > 0 ? mask : undefined];
+    }).filter(([i, mask]) => mask !== undefined);
+    // Marks that leave no candidate are always wrong, but only a unique
+    // solution tells if the answer was marked out
+    const wrong = markMasks.filter(([i, mask]) => (mask & state.cands[i]) === 0
+        || (solutions.length === 1 && !((mask >> solutions[0][i]) & 1)));
+    if (wrong.length > 0) {
+        return {status: HINT_STATUS.WRONG_MARKS, steps: [], cells: wrong.map(([i]) => toCoords(i))};
+    }
+    const marksOf = new Map(markMasks);
+    const isMarkedOut = ([i, mask]) => marksOf.has(i) && (marksOf.get(i) & mask) === 0;
+    const steps = [];
+    let status = HINT_STATUS.STUCK;
+    for (let step = findStep(state); step !== undefined; step = findStep(state)) {
+        applyStep(state, step);
+        // leave out the eliminations already made in the marks
+        if (step.placements.length === 0 && step.eliminations.every(isMarkedOut)) {
+            continue;
+        }
+        steps.push({
+            technique: step.technique,
+            explanation: step.explanation,
+            cells: [...new Set(step.cells)].map(toCoords),
+            targets: [...step.placements, ...step.eliminations].map(([i]) => toCoords(i))
+        });
+        if (step.placements.length > 0) {
+            status = HINT_STATUS.FOUND;
+            break;
+        }
+    }
+    return {status, steps};
+};
+
+/**
+ * Rates how hard it is to solve the grid from values, which must have a unique
+ * solution, by the techniques needed.
+ * Returns {difficulty, technique}, see ratePuzzle.
+ */
+export const rateValues = (grid, values) => {
+    const state = createState(grid, values);
+    let technique = undefined;
+    for (let step = findStep(state); step !== undefined; step = findStep(state)) {
+        applyStep(state, step);
+        if (technique === undefined || TECHNIQUES[step.technique].score > TECHNIQUES[technique].score) {
+            technique = step.technique;
+        }
+    }
+    if (grid.cells.some(i => state.values[i] === -1)) {
+        return {difficulty: EXTREME, technique};
+    }
+    const score = technique ? TECHNIQUES[technique].score : 1;
+    const [, difficulty] = RATING_LEVELS.find(([maxScore]) => score <= maxScore);
+    return {difficulty, technique};
+};
+
+/**
+ * Rates how hard the puzzle is from the techniques needed to solve it from its
+ * givens, the cells with a non-editable guess.
+ * Returns undefined if the givens don't have a unique solution, otherwise:
+ * {
+ *     difficulty: one of DIFFICULTIES or EXTREME,
+ *     technique:  key of TECHNIQUES of the hardest technique used
+ * }
+ */
+export const ratePuzzle = (config) => {
+    const grid = createGrid(config);
+    if (grid === undefined) {
+        return undefined;
+    }
+    const isGiven = (cell) => cell.guess !== -1 && config.guesses[cell.guess]
+        && !config.guesses[cell.guess].editable;
+    const givens = {
+        ...config,
+        cells: config.cells.map(row => row.map(cell => isGiven(cell) ? cell : {...cell, val: '', guess: -1}))
+    };
+    const values = readValues(grid, givens);
+    if (values === undefined || solveGrid(grid, values, 2).length !== 1) {
+        return undefined;
+    }
+    return rateValues(grid, values);
+};
@@ -0,0 +1,218 @@
+/**
+ * The undo history of a board, kept as a tree so that undoing and then making a
+ * new move starts a new branch instead of throwing the undone moves away.
+ * {
+ *     nodes:   list of nodes, the first is the root: the board before any change
+ *     [
+ *         {
+ *             parent:    index of the parent node, -1 for the root,
+ *             change:    the change from the board at the parent to the board
+ *                        at this node, undefined for the root (see below),
+ *             lastChild: index of the child that redo goes to, -1 if none,
+ *             name:      name of the checkpoint at this node, undefined if it
+ *                        isn't one
+ *         }
+ *     ],
+ *     current: index of the node the board is at
+ * }
+ * A change is one of:
+ * {type: UNDO.CELLS, cells: [{coords, prev, next}]} - the cells that changed,
+ *     each before and after, see cellsChange
+ * {type: UNDO.DIFF, coords, prevVal, newVal, prevGuess, newGuess} - one cell
+ * {type: UNDO.CONFIG, label, fields, prev, next, cells} - the fields of the
+ *     config changed by a change to the board setup, before and after, see
+ *     configChange
+ * The functions don't modify the histories they are given.
+ */
+
+export const UNDO = {
+    CELLS: 'cells',
+    DIFF: 'diff',
+    CONFIG: 'config'
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export const createHistory = () => ({
+    nodes: [{parent: -1, change: undefined, lastChild: -1}],
+    current: 0
+});
+
+/**
+ * Returns the history with a change made at the current node, as a new child
+ * of it.
+ */
+export const addChange = (history, change) => {
+    const nodes = [...history.nodes];
+    const index = nodes.length;
+    nodes.push({parent: history.current, change, lastChild: -1});
+    nodes[history.current] = {...nodes[history.current], lastChild: index};
+    return {nodes, current: index};
+};
+
+/**
+ * Returns a change from one set of cells of a board to another, keeping only
+ * the cells that differ, or undefined if none do.
+ */
+export const cellsChange = (prevCells, newCells) => {
+    const cells = [];
+    for (const [r, row] of newCells.entries()) {
+        for (const [c, cell] of row.entries()) {
+            const [prev, next] = [JSON.stringify(prevCells[r][c]), JSON.stringify(cell)];
+            if (prev !== next) {
+                cells.push({coords: [r, c], prev: JSON.parse(prev), next: JSON.parse(next)});
+            }
+        }
+    }
+    return cells.length > 0 ? {type: UNDO.CELLS, cells} : undefined;
+};
+
+/**
+ * Returns a change from one config to another, described by label, or
+ * undefined if nothing changed. Only the top level fields that changed are
+ * kept, and of the cells only the ones that changed, unless the dimensions
+ * changed too. The timer is left out, so undoing a change doesn't turn back
+ * the time.
+ * Returns {type: UNDO.CONFIG, label, fields, prev, next, cells}:
+ * fields - the names of the changed fields other than the cells,
+ * prev   - the fields before the change, without the ones that weren't set,
+ * next   - the fields after the change, without the ones that aren't set,
+ * cells  - the changed cells, see cellsChange, undefined if they didn't change
+ *          or are in prev and next because the dimensions changed
+ */
+export const configChange = (label, prevConfig, newConfig) => {
+    const differs = (key) => JSON.stringify(prevConfig[key]) !== JSON.stringify(newConfig[key]);
+    const keys = [...new Set([...Object.keys(prevConfig), ...Object.keys(newConfig)])];
+    const changed = keys.filter(key => key !== 'elapsed' && differs(key));
+    if (changed.length === 0) {
+        return undefined;
+    }
+    const cellsDiff = changed.includes('cells') && !differs('dimensions')
+        ? cellsChange(prevConfig.cells, newConfig.cells)
+        : undefined;
+    const cells = cellsDiff && cellsDiff.cells;
+    const fields = cells === undefined ? changed : changed.filter(key => key !== 'cells');
+    const pick = (config) => clone(fields.reduce((picked, key) => ({...picked, [key]: config[key]}), {}));
+    return {type: UNDO.CONFIG, label, fields, prev: pick(prevConfig), next: pick(newConfig), cells};
+};
+
+/**
+ * Returns the config after applying a change, or undoing it if forward is
+ * false. The config given is not modified.
+ */
+export const applyChange = (config, change, forward) => {
+    if (change.type === UNDO.CONFIG) {
+        const fields = forward ? change.next : change.prev;
+        const newConfig = {...config};
+        for (const key of change.fields) {
+            if (key in fields) {
+                newConfig[key] = clone(fields[key]);
+            } else {
+                delete newConfig[key];
+            }
+        }
+        return change.cells ? applyChange(newConfig, {type: UNDO.CELLS, cells: change.cells}, forward) : newConfig;
+    }
+    if (change.type === UNDO.CELLS) {
+        const cells = [...config.cells];
+        for (const {coords: [r, c], prev, next} of change.cells) {
+            if (cells[r] === config.cells[r]) {
+                cells[r] = [...cells[r]];
+            }
+            cells[r][c] = clone(forward ? next : prev);
+        }
+        return {...config, cells};
+    }
+    const [r, c] = change.coords;
+    const cells = [...config.cells];
+    cells[r] = [...cells[r]];
+    cells[r][c] = {
+        ...cells[r][c],
+        val: forward ? change.newVal : change.prevVal,
+        guess: forward ? change.newGuess : change.prevGuess
+    };
+    return {...config, cells};
+};
+
+const ancestors = (history, index) => {
+    const list = [];
+    for (let i = index; i !== -1; i = history.nodes[i].parent) {
+        list.push(i);
+    }
+    return list;
+};
+
+/**
+ * Finds the way from the current node to the target node: up to the node they
+ * branch from, then down to the target.
+ * Returns {
+ *     steps:   list of {change, forward} to apply in order, forward is false
+ *              for the changes that are undone,
+ *     history: the history with target as the current node
+ * }
+ */
+export const pathTo = (history, target) => {
+    const up = ancestors(history, history.current);
+    const down = ancestors(history, target);
+    const downSet = new Set(down);
+    const common = up.find(i => downSet.has(i));
+    const undone = up.slice(0, up.indexOf(common));
+    const redone = down.slice(0, down.indexOf(common)).reverse();
+    // redo follows the branch that was taken last
+    const nodes = [...history.nodes];
+    for (const i of redone) {
+        const parent = nodes[i].parent;
+        nodes[parent] = {...nodes[parent], lastChild: i};
+    }
+    return {
+        steps: [
+            ...undone.map(i => ({change: history.nodes[i].change, forward: false})),
+            ...redone.map(i => ({change: history.nodes[i].change, forward: true}))
+        ],
+        history: {nodes, current: target}
+    };
+};
+
+/* Index of the node undo goes to, -1 if there is nothing to undo */
+export const undoTarget = (history) => history.nodes[history.current].parent;
+
+/* Index of the node redo goes to, -1 if there is nothing to redo */
+export const redoTarget = (history) => history.nodes[history.current].lastChild;
+
+/**
+ * Returns the history with the node at index named as a checkpoint, or no
+ * longer a checkpoint if name is empty.
+ */
+export const setCheckpoint = (history, index, name) => {
+    const nodes = [...history.nodes];
+    nodes[index] = {...nodes[index], name: name || undefined};
+    return {...history, nodes};
+};
+
+/**
+ * Returns the children of every node, oldest first.
+ */
+export const getChildren = (history) => {
+    const children = history.nodes.map(() => []);
+    for (const [i, node] of history.nodes.entries()) {
+        if (node.parent !== -1) {
+            children[node.parent].push(i);
+        }
+    }
+    return children;
+};
+
+/**
+ * Returns whether a history has the right shape, for histories read back from
+ * storage.
+ */
+export const isHistory = (history) => Boolean(history)
+    && Array.isArray(history.nodes)
+    && history.nodes.length > 0
+    && Number.isInteger(history.current)
+    && history.current >= 0
+    && history.current < history.nodes.length
+    && history.nodes.every((node, i) => node && Number.isInteger(node.parent)
+        && node.parent < i && (i === 0) === (node.parent === -1)
+        && (i === 0 || (node.change && Object.values(UNDO).includes(node.change.type)
+            && (node.change.type !== UNDO.CONFIG || Array.isArray(node.change.fields)))));
@@ -0,0 +1,108 @@
+import { checkConfig } from './schema.js';
+
+/**
+ * The puzzle library: puzzles saved in IndexedDB, each stored as
+ * {
+ *     id:      number, given by IndexedDB when first saved,
+ *     name:    string,
+ *     config:  the sudoku config,
+ *     savedAt: when it was last saved, in ms since the epoch
+ * }
+ * Every function returns a Promise.
+ */
+
+const DB_NAME = 'sudoku_library';
+const DB_VERSION = 1;
+const STORE_NAME = 'puzzles';
+
+// Version of the bundle format written by exportLibrary
+const BUNDLE_VERSION = 1;
+
+let dbPromise = undefined;
+
+const openDB = () => {
+    if (dbPromise === undefined) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('The library needs IndexedDB, which this browser does not support.'));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, {keyPath: 'id', autoIncrement: true});
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // try again next time if it failed
+        dbPromise.catch(() => dbPromise = undefined);
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs fn(store) in a transaction on the puzzle store, resolving with the
+ * result of the request fn returns once the transaction is done.
+ */
+const withStore = (mode, fn) => openDB().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = fn(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+}));
+
+/**
+ * Resolves with every puzzle in the library, the most recently saved first.
+ */
+export const listPuzzles = () => withStore('readonly', store => store.getAll())
+    .then(puzzles => puzzles.sort((a, b) => b.savedAt - a.savedAt));
+
+/**
+ * Saves a puzzle, adding it to the library if it has no id. Resolves with the
+ * id of the puzzle.
+ */
+export const savePuzzle = (puzzle) => {
+    const {id, ...entry} = puzzle;
+    entry.savedAt = Date.now();
+    return withStore('readwrite', store => store.put(id === undefined ? entry : {...entry, id}));
+};
+
+export const renamePuzzle = (puzzle, name) => withStore('readwrite', store => store.put({...puzzle, name}));
+
+export const duplicatePuzzle = (puzzle) => savePuzzle({name: `${puzzle.name} (copy)`, config: puzzle.config});
+
+export const deletePuzzle = (id) => withStore('readwrite', store => store.delete(id));
+
+/**
+ * Resolves with the whole library as one bundle:
+ * {
+ *     version: version of the bundle format,
+ *     puzzles: list of puzzles, without their ids
+ * }
+ */
+export const exportLibrary = () => listPuzzles().then(puzzles => ({
+    version: BUNDLE_VERSION,
+    puzzles: puzzles.map(({id, ...puzzle}) => puzzle)
+}));
+
+/**
+ * Adds every puzzle of a bundle from exportLibrary to the library, skipping
+ * puzzles with broken configs (see checkConfig). Resolves with the number of
+ * puzzles added, rejects if it isn't a bundle.
+ */
+export const importLibrary = (bundle) => {
+    if (!bundle || !Array.isArray(bundle.puzzles)) {
+        return Promise.reject(new Error('Not a library bundle.'));
+    }
+    const puzzles = bundle.puzzles.filter(puzzle => puzzle && checkConfig(puzzle.config).length === 0);
+    return withStore('readwrite', store => {
+        for (const {id, ...puzzle} of puzzles) {
+            store.put({
+                ...puzzle,
+                name: puzzle.name || 'Imported puzzle',
+                savedAt: puzzle.savedAt || Date.now()
+            });
+        }
+    }).then(() => puzzles.length);
+};
@@ -0,0 +1,193 @@
+/**
+ * LZ-based string compression, compatible with the lz-string library used by
+ * f-puzzles and SudokuPad to put puzzles in links.
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+const URI_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-$';
+
+/**
+ * Compresses text into a list of characters that each hold bitsPerChar bits,
+ * where charOf(n) returns the character for the bits n.
+ */
+const compress = (text, bitsPerChar, charOf) => {
+    const out = [];
+    let val = 0, position = 0;
+    // writes the lowest numBits bits of value, lowest bit first
+    const write = (value, numBits) => {
+        for (let i = 0; i < numBits; i++) {
+            val = (val << 1) | (value & 1);
+            if (position === bitsPerChar - 1) {
+                position = 0;
+                out.push(charOf(val));
+                val = 0;
+            } else {
+                position++;
+            }
+            value >>= 1;
+        }
+    };
+
+    const dictionary = new Map();
+    const toCreate = new Set();
+    let dictSize = 3, numBits = 2;
+    // the first entry doesn't count towards growing the code size
+    let enlargeIn = 2;
+    const grow = () => {
+        enlargeIn--;
+        if (enlargeIn === 0) {
+            enlargeIn = 1 << numBits;
+            numBits++;
+        }
+    };
+    // writes the code for w, adding its first character as a literal if new
+    const writeWord = (w) => {
+        if (toCreate.has(w)) {
+            const code = w.charCodeAt(0);
+            if (code < 256) {
+                write(0, numBits);
+                write(code, 8);
+            } else {
+                write(1, numBits);
+                write(code, 16);
+            }
+            grow();
+            toCreate.delete(w);
+        } else {
+            write(dictionary.get(w), numBits);
+        }
+        grow();
+    };
+
+    let w = '';
+    for (const c of text.split('')) {
+        if (!dictionary.has(c)) {
+            dictionary.set(c, dictSize++);
+            toCreate.add(c);
+        }
+        if (dictionary.has(w + c)) {
+            w += c;
+        } else {
+            writeWord(w);
+            dictionary.set(w + c, dictSize++);
+            w = c;
+        }
+    }
+    if (w !== '') {
+        writeWord(w);
+    }
+    // end of stream, then flush the last character
+    write(2, numBits);
+    do {
+        write(0, 1);
+    } while (position !== 0);
+    return out.join('');
+};
+
+/**
+ * Reverses compress, where valueAt(i) returns the bits of the ith character
+ * and resetValue is the highest bit of a character.
+ * Returns undefined if the data is not valid.
+ */
+const decompress = (length, resetValue, valueAt) => {
+    let val = valueAt(0), position = resetValue, index = 1;
+    const read = (numBits) => {
+        let bits = 0;
+        for (let i = 0; i < numBits; i++) {
+            if (val & position) {
+                bits |= 1 << i;
+            }
+            position >>= 1;
+            if (position === 0) {
+                position = resetValue;
+                val = valueAt(index++);
+            }
+        }
+        return bits;
+    };
+
+    const dictionary = [0, 1, 2];
+    let enlargeIn = 4, numBits = 3;
+    const readLiteral = (kind) => {
+        if (kind === 0) {
+            return String.fromCharCode(read(8));
+        } else if (kind === 1) {
+            return String.fromCharCode(read(16));
+        }
+        return undefined;
+    };
+
+    const first = read(2);
+    if (first === 2) {
+        return '';
+    }
+    let w = readLiteral(first);
+    if (w === undefined) {
+        return undefined;
+    }
+    dictionary.push(w);
+    const result = [w];
+    while (true) {
+        if (index > length) {
+            return undefined;
+        }
+        let code = read(numBits);
+        if (code === 2) {
+            return result.join('');
+        }
+        if (code === 0 || code === 1) {
+            dictionary.push(readLiteral(code));
+            code = dictionary.length - 1;
+            enlargeIn--;
+        }
+        if (enlargeIn === 0) {
+            enlargeIn = 1 << numBits;
+            numBits++;
+        }
+        let entry;
+        if (code < dictionary.length) {
+            entry = dictionary[code];
+        } else if (code === dictionary.length) {
+            entry = w + w.charAt(0);
+        } else {
+            return undefined;
+        }
+        result.push(entry);
+        dictionary.push(w + entry.charAt(0));
+        enlargeIn--;
+        w = entry;
+        if (enlargeIn === 0) {
+            enlargeIn = 1 << numBits;
+            numBits++;
+        }
+    }
+};
+
+const decompressWith = (chars, data) => {
+    if (!data) {
+        return undefined;
+    }
+    const values = data.split('').map(c => chars.indexOf(c));
+    if (values.some(value => value === -1)) {
+        return undefined;
+    }
+    return decompress(data.length, 32, i => values[i]);
+};
+
+export const compressToBase64 = (text) => {
+    const data = compress(text, 6, n => BASE64_CHARS.charAt(n));
+    return data + '='.repeat((4 - data.length % 4) % 4);
+};
+
+/**
+ * Returns undefined if data isn't valid compressed data.
+ */
+export const decompressFromBase64 = (data) => decompressWith(BASE64_CHARS, data);
+
+export const compressToURI = (text) => compress(text, 6, n => URI_CHARS.charAt(n));
+
+/**
+ * Returns undefined if data isn't valid compressed data. Spaces are read as +,
+ * since + turns into a space in some links.
+ */
+export const decompressFromURI = (data) => decompressWith(URI_CHARS, data.replace(/ /g, '+'));
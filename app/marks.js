@@ -0,0 +1,85 @@
+/**
+ * Pencil marks. A cell can hold two sets of marks, shown while it has no big
+ * value:
+ * corner marks - Snyder notation, the symbol goes in one of the cells of a
+ *                unit that have the mark,
+ * centre marks - the candidates of the cell.
+ * Each set is stored on the cell as an object from symbol to the index of the
+ * small guess that wrote the mark, with the symbols upper case and in order,
+ * and is left out when it has no marks:
+ * {val: '', guess: -1, group: 0, centre: {'1': 2, '5': 2}, corner: {'3': 3}}
+ */
+export const MARK_KINDS = {
+    CORNER: 'corner',
+    CENTRE: 'centre'
+};
+
+// Where corner marks go in a cell, in the order of their symbols, as [x, y]
+// fractions of the cell from its upper left: the four corners, then the
+// middles of the top and bottom, then of the sides
+export const CORNER_POSITIONS = [
+    [0.15, 0.15], [0.85, 0.15], [0.15, 0.85], [0.85, 0.85],
+    [0.5, 0.15], [0.5, 0.85], [0.15, 0.5], [0.85, 0.5]
+];
+
+/* Kind of marks a small guess writes */
+export const markKind = (guess) => guess.corner ? MARK_KINDS.CORNER : MARK_KINDS.CENTRE;
+
+/* Symbols of the marks of one kind in the cell, in order */
+export const getMarks = (cell, kind) => Object.keys(cell[kind] || {});
+
+export const hasMark = (cell, kind, symbol) => getMarks(cell, kind).includes(`${symbol}`.toUpperCase());
+
+export const hasMarks = (cell) => Object.values(MARK_KINDS).some(kind => getMarks(cell, kind).length > 0);
+
+/**
+ * Sets the mark of symbol in the cell, written with guess, or removes it if
+ * guess is -1. Modifies the cell in place.
+ */
+export const setMark = (cell, kind, symbol, guess) => {
+    const marks = {...cell[kind]};
+    const key = `${symbol}`.toUpperCase();
+    if (guess === -1) {
+        delete marks[key];
+    } else {
+        marks[key] = guess;
+    }
+    const keys = Object.keys(marks).sort();
+    if (keys.length === 0) {
+        delete cell[kind];
+    } else {
+        cell[kind] = keys.reduce((sorted, k) => ({...sorted, [k]: marks[k]}), {});
+    }
+};
+
+/* Removes every mark from the cell. Modifies the cell in place. */
+export const clearMarks = (cell) => {
+    for (const kind of Object.values(MARK_KINDS)) {
+        delete cell[kind];
+    }
+};
+
+/**
+ * Changes the guess of every mark in the cell to newGuess(guess), removing the
+ * marks it returns -1 for. Modifies the cell in place.
+ */
+export const mapMarkGuesses = (cell, newGuess) => {
+    for (const kind of Object.values(MARK_KINDS)) {
+        for (const [symbol, guess] of Object.entries(cell[kind] || {})) {
+            setMark(cell, kind, symbol, newGuess(guess));
+        }
+    }
+};
+
+/**
+ * Returns the index of the guess to write marks of the kind with: the current
+ * guess if it is a small guess of that kind, otherwise the first editable one,
+ * -1 if there is none.
+ */
+export const getMarkGuess = (config, currGuess, kind) => {
+    const isMarkGuess = (guess) => guess && guess.isSmall && guess.editable && markKind(guess) === kind;
+    if (isMarkGuess(config.guesses[currGuess])) {
+        return currGuess;
+    }
+    return config.guesses.findIndex(isMarkGuess);
+};
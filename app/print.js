@@ -0,0 +1,306 @@
+import {
+    CORNER_POSITIONS,
+    MARK_KINDS,
+    getMarks
+} from './marks.js';
+import {
+    RULE_TYPES,
+    getWindokuRegions
+} from './rules.js';
+
+/**
+ * Draws boards as SVG for printing, in black on white: cell shading, group
+ * borders, givens, killer cages, lines, edge marks and outside clues, and
+ * optionally the pencil marks.
+ */
+
+// Width and height of a cell in the SVG
+const CELL = 40;
+// Widths of the lines between cells, between groups and around the board
+const THIN = 1;
+const GROUP = 3;
+const OUTER = 4;
+// Color of lines and shapes drawn over the cells
+const SHAPE_COLOR = '#c0c0c0';
+
+const escapeText = (text) => `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Flips the lightness of a color while keeping its hue, so the colors of the
+ * dark board work on paper: black becomes white and white becomes black.
+ * Colors that aren't hex are returned as is.
+ */
+export const toPrintColor = (color) => {
+    let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (!hex) {
+        return color;
+    }
+    hex = hex[1].length === 3 ? hex[1].split('').map(h => h + h).join('') : hex[1];
+    const channels = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    // moving every channel by the same amount keeps the hue and saturation
+    const shift = 255 - Math.max(...channels) - Math.min(...channels);
+    return '#' + channels.map(ch => `${(ch + shift).toString(16)}`.padStart(2, '0')).join('');
+};
+
+const line = (x1, y1, x2, y2, attrs) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${attrs}/>`;
+
+const text = (x, y, size, value, attrs = '') =>
+    `<text x="${x}" y="${y}" font-size="${size}" text-anchor="middle" dominant-baseline="central" ` +
+    `font-family="sans-serif" ${attrs}>${escapeText(value)}</text>`;
+
+/**
+ * Draws a board as an SVG image.
+ * @param config: the sudoku config
+ * @param options: {pencilMarks: bool for if the corner and centre marks are drawn}
+ * Returns the SVG as a string.
+ */
+export const boardToSVG = (config, options = {}) => {
+    const [height, width] = config.dimensions.map(dim => Number(dim));
+    const guessOf = (cell) => config.guesses[cell.guess];
+    const cellAt = (r, c) => r >= 0 && r < height && c >= 0 && c < width ? config.cells[r][c] : undefined;
+    // Empty cells with a non-editable guess, like the shaded parts of a
+    // Samurai board, are not part of the puzzle and are drawn like the outside
+    const isBlocked = (cell) => {
+        const guess = guessOf(cell);
+        return cell.val === '' && guess !== undefined && guess.editable === false;
+    };
+    const inPuzzle = (r, c) => cellAt(r, c) !== undefined && !isBlocked(cellAt(r, c));
+
+    // leave a ring of cells for outside clues if there are any
+    const clues = config.rules.filter(rule => rule.position);
+    const margin = clues.length > 0 ? CELL : OUTER;
+    const x = (c) => margin + c * CELL;
+    const y = (r) => margin + r * CELL;
+    const center = ([r, c]) => [x(c) + CELL / 2, y(r) + CELL / 2];
+    const svgWidth = width * CELL + 2 * margin;
+    const svgHeight = height * CELL + 2 * margin;
+    const parts = [];
+
+    // shading
+    for (const [r, row] of config.cells.entries()) {
+        for (const [c, cell] of row.entries()) {
+            const group = config.groups[cell.group];
+            const fill = toPrintColor(cell.color || (group && group.color));
+            if (fill && fill !== '#ffffff') {
+                parts.push(`<rect x="${x(c)}" y="${y(r)}" width="${CELL}" height="${CELL}" fill="${fill}"/>`);
+            }
+        }
+    }
+    if (config.rules.some(rule => rule.type === RULE_TYPES.WINDOKU)) {
+        for (const region of getWindokuRegions(config)) {
+            const rows = region.map(([r, c]) => r);
+            const cols = region.map(([r, c]) => c);
+            const [top, left] = [Math.min(...rows), Math.min(...cols)];
+            parts.push(`<rect x="${x(left)}" y="${y(top)}" width="${(Math.max(...cols) - left + 1) * CELL}" ` +
+                `height="${(Math.max(...rows) - top + 1) * CELL}" fill="#e0e0e0"/>`);
+        }
+    }
+
+    // killer cages, drawn inset from the cell edges like Cage
+    const cageOf = {};
+    for (const [i, rule] of config.rules.entries()) {
+        if (rule.type === RULE_TYPES.CAGE) {
+            for (const [r, c] of rule.cells) {
+                cageOf[`${r},${c}`] = i;
+            }
+        }
+    }
+    const inset = 4;
+    const dashed = 'stroke="#000000" stroke-width="1" stroke-dasharray="3,3"';
+    for (const [key, i] of Object.entries(cageOf)) {
+        const [r, c] = key.split(',').map(Number);
+        const inCage = (r1, c1) => cageOf[`${r1},${c1}`] === i;
+        const [top, bottom, left, right] = [!inCage(r - 1, c), !inCage(r + 1, c), !inCage(r, c - 1), !inCage(r, c + 1)];
+        const [x1, x2] = [x(c) + (left ? inset : 0), x(c + 1) - (right ? inset : 0)];
+        const [y1, y2] = [y(r) + (top ? inset : 0), y(r + 1) - (bottom ? inset : 0)];
+        const sides = [
+            [top, x1, y1, x2, y1],
+            [bottom, x1, y2, x2, y2],
+            [left, x1, y1, x1, y2],
+            [right, x2, y1, x2, y2]
+        ];
+        for (const [isBorder, ...coords] of sides) {
+            if (isBorder) {
+                parts.push(line(...coords, dashed));
+            }
+        }
+    }
+    for (const rule of config.rules) {
+        if (rule.type === RULE_TYPES.CAGE && rule.sum !== undefined && rule.sum !== '') {
+            const [r, c] = rule.cells[0];
+            parts.push(`<rect x="${x(c) + 2}" y="${y(r) + 2}" width="${CELL * 0.4}" height="${CELL * 0.3}" fill="#ffffff"/>`);
+            parts.push(text(x(c) + 2 + CELL * 0.2, y(r) + 2 + CELL * 0.15, CELL * 0.25, rule.sum));
+        }
+    }
+
+    // lines
+    const radius = CELL * 0.35;
+    const points = (coords) => coords.map(coord => center(coord).join(',')).join(' ');
+    for (const rule of config.rules) {
+        if (!rule.cells || rule.cells.length < 2) {
+            continue;
+        }
+        const [cx, cy] = center(rule.cells[0]);
+        if (rule.type === RULE_TYPES.THERMO) {
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${SHAPE_COLOR}"/>`);
+            parts.push(`<polyline points="${points(rule.cells)}" fill="none" stroke="${SHAPE_COLOR}" ` +
+                `stroke-width="${CELL * 0.3}" stroke-linecap="round" stroke-linejoin="round"/>`);
+        } else if (rule.type === RULE_TYPES.ARROW) {
+            const [nx, ny] = center(rule.cells[1]);
+            const length = Math.hypot(nx - cx, ny - cy);
+            const start = [cx + (nx - cx) * radius / length, cy + (ny - cy) * radius / length];
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${SHAPE_COLOR}" stroke-width="2"/>`);
+            parts.push(`<polyline points="${start.join(',')} ${points(rule.cells.slice(1))}" fill="none" ` +
+                `stroke="${SHAPE_COLOR}" stroke-width="2" marker-end="url(#arrow_head)"/>`);
+        } else if (rule.type === RULE_TYPES.PALINDROME) {
+            parts.push(`<polyline points="${points(rule.cells)}" fill="none" stroke="${SHAPE_COLOR}" ` +
+                `stroke-width="${CELL * 0.2}" stroke-linecap="round" stroke-linejoin="round"/>`);
+        }
+    }
+
+    // lines between cells, thin ones first so the borders are drawn on top
+    const borders = [];
+    const addBorder = (cell1, cell2, x1, y1, x2, y2) => {
+        const [in1, in2] = [inPuzzle(...cell1), inPuzzle(...cell2)];
+        if (!in1 && !in2) {
+            return;
+        }
+        let strokeWidth = THIN;
+        if (in1 !== in2) {
+            strokeWidth = OUTER;
+        } else if (cellAt(...cell1).group !== cellAt(...cell2).group) {
+            strokeWidth = GROUP;
+        }
+        borders.push({strokeWidth, svg: line(x1, y1, x2, y2, `stroke="#000000" stroke-width="${strokeWidth}"` +
+            // square ends fill in the corners where borders meet, like Corner
+            (strokeWidth > THIN ? ' stroke-linecap="square"' : ''))});
+    };
+    for (let r = 0; r <= height; r++) {
+        for (let c = 0; c < width; c++) {
+            addBorder([r - 1, c], [r, c], x(c), y(r), x(c + 1), y(r));
+        }
+    }
+    for (let r = 0; r < height; r++) {
+        for (let c = 0; c <= width; c++) {
+            addBorder([r, c - 1], [r, c], x(c), y(r), x(c), y(r + 1));
+        }
+    }
+    borders.sort((a, b) => a.strokeWidth - b.strokeWidth);
+    parts.push(...borders.map(border => border.svg));
+
+    // edge marks, centered on the border between their cells
+    for (const rule of config.rules) {
+        const isEdge = [RULE_TYPES.WHITE_DOT, RULE_TYPES.BLACK_DOT, RULE_TYPES.X, RULE_TYPES.V, RULE_TYPES.GREATER]
+            .includes(rule.type);
+        if (!isEdge) {
+            continue;
+        }
+        const [[r1, c1], [r2, c2]] = rule.cells;
+        const [ax, ay] = center([r1, c1]);
+        const [bx, by] = center([r2, c2]);
+        const [mx, my] = [(ax + bx) / 2, (ay + by) / 2];
+        if (rule.type === RULE_TYPES.WHITE_DOT || rule.type === RULE_TYPES.BLACK_DOT) {
+            const fill = rule.type === RULE_TYPES.BLACK_DOT ? '#000000' : '#ffffff';
+            parts.push(`<circle cx="${mx}" cy="${my}" r="${CELL * 0.12}" fill="${fill}" stroke="#000000" stroke-width="1"/>`);
+        } else {
+            // the first cell of an inequality is the greater one
+            const label = {
+                [RULE_TYPES.X]: 'X',
+                [RULE_TYPES.V]: 'V',
+                [RULE_TYPES.GREATER]: r1 === r2
+                    ? (c1 < c2 ? '>' : '<')
+                    : (r1 < r2 ? '\u2228' : '\u2227')
+            }[rule.type];
+            parts.push(`<rect x="${mx - CELL * 0.15}" y="${my - CELL * 0.15}" width="${CELL * 0.3}" ` +
+                `height="${CELL * 0.3}" fill="#ffffff"/>`);
+            parts.push(text(mx, my, CELL * 0.3, label, 'font-weight="bold"'));
+        }
+    }
+
+    // outside clues
+    for (const clue of clues) {
+        const [cx, cy] = center(clue.position);
+        const value = clue.type === RULE_TYPES.SKYSCRAPER ? clue.count : clue.sum;
+        parts.push(text(cx, cy, CELL * 0.45, value));
+        if (clue.type === RULE_TYPES.LITTLE_KILLER) {
+            const [dr, dc] = clue.direction;
+            parts.push(line(cx + dc * CELL * 0.3, cy + dr * CELL * 0.3, cx + dc * CELL * 0.45, cy + dr * CELL * 0.45,
+                'stroke="#000000" stroke-width="1" marker-end="url(#arrow_head)"'));
+        }
+    }
+
+    // givens and pencil marks
+    for (const [r, row] of config.cells.entries()) {
+        for (const [c, cell] of row.entries()) {
+            const guess = guessOf(cell);
+            const [cx, cy] = center([r, c]);
+            if (cell.val !== '' && guess !== undefined && !guess.isSmall && guess.editable === false) {
+                parts.push(text(cx, cy, CELL * 0.6, cell.val));
+            } else if (cell.val === '' && options.pencilMarks) {
+                // centre marks go by value, 1 in the top left, in a 3 x 3 grid
+                // or a 4 x 4 one for the bigger boards
+                const marks = getMarks(cell, MARK_KINDS.CENTRE);
+                const indexes = marks.map(mark => parseInt(mark, 36) - 1);
+                const cols = indexes.every(i => i >= 0 && i < 9) ? 3 : 4;
+                const size = CELL / cols;
+                for (const [i, mark] of marks.entries()) {
+                    const index = indexes[i] >= 0 && indexes[i] < cols * cols ? indexes[i] : i;
+                    parts.push(text(x(c) + (index % cols + 0.5) * size, y(r) + (Math.floor(index / cols) + 0.5) * size,
+                        size * 0.8, mark, 'fill="#404040"'));
+                }
+                for (const [i, mark] of getMarks(cell, MARK_KINDS.CORNER).entries()) {
+                    const [fx, fy] = CORNER_POSITIONS[i % CORNER_POSITIONS.length];
+                    parts.push(text(x(c) + fx * CELL, y(r) + fy * CELL, CELL * 0.22, mark, 'fill="#404040"'));
+                }
+            }
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" ` +
+        `viewBox="0 0 ${svgWidth} ${svgHeight}">` +
+        '<defs><marker id="arrow_head" markerWidth="10" markerHeight="10" refX="8" refY="5" orient="auto" ' +
+        `markerUnits="userSpaceOnUse"><polyline points="0,0 8,5 0,10" fill="none" stroke="${SHAPE_COLOR}" ` +
+        'stroke-width="2"/></marker></defs>' +
+        `<rect width="${svgWidth}" height="${svgHeight}" fill="#ffffff"/>` +
+        parts.join('') +
+        '</svg>';
+};
+
+/**
+ * Lays out boards for printing, perPage to a page.
+ * @param puzzles: list of {name, svg}, svg from boardToSVG
+ * @param perPage: number of puzzles on a page, 1, 2, 4 or 6
+ * Returns the page as an HTML document.
+ */
+export const printPage = (puzzles, perPage) => {
+    const cols = perPage <= 2 ? 1 : 2;
+    // share the height of an A4 or letter page between the rows, in cm
+    const maxHeight = Math.floor(24 / Math.ceil(perPage / cols)) - 1;
+    const pages = [];
+    for (let i = 0; i < puzzles.length; i += perPage) {
+        pages.push(puzzles.slice(i, i + perPage));
+    }
+    const style = `
+        @page { margin: 1cm; }
+        body { margin: 0; font-family: sans-serif; }
+        .page {
+            display: grid;
+            grid-template-columns: repeat(${cols}, 1fr);
+            gap: 0.8cm;
+            break-after: page;
+        }
+        .page:last-child { break-after: auto; }
+        .puzzle { break-inside: avoid; text-align: center; }
+        .puzzle svg { width: 100%; height: auto; max-height: ${maxHeight}cm; }
+        .name { margin-bottom: 0.2cm; }
+    `;
+    const body = pages.map(page => '<div class="page">' + page.map(puzzle =>
+        `<div class="puzzle"><div class="name">${escapeText(puzzle.name)}</div>${puzzle.svg}</div>`
+    ).join('') + '</div>').join('');
+    return `<!DOCTYPE html><html><head><title>Sudoku</title><style>${style}</style></head>` +
+        `<body>${body}</body></html>`;
+};
@@ -0,0 +1,833 @@
+import { SUDOKU_TYPES } from './common.js';
+import {
+    MARK_KINDS,
+    getMarks
+} from './marks.js';
+
+/**
+ * Board rules. A board's constraints are stored in config.rules as a list of
+ * objects, each with a type that names a rule in the registry below, and the
+ * fields that rule needs:
+ * {
+ *     type: one of RULE_TYPES or a type added with registerRule,
+ *     ...
+ * }
+ * validate(), the solver, hints and live checking all go through these rules,
+ * so adding a rule type is enough to support a new variant.
+ */
+export const RULE_TYPES = {
+    SQUARE: 'square',
+    UNIQUE: 'unique',
+    SUM: 'sum',
+    ORDERED: 'ordered',
+    CAGE: 'cage',
+    THERMO: 'thermo',
+    ARROW: 'arrow',
+    PALINDROME: 'palindrome',
+    WHITE_DOT: 'white_dot',
+    BLACK_DOT: 'black_dot',
+    X: 'x',
+    V: 'v',
+    GREATER: 'greater',
+    ANTI_KNIGHT: 'anti_knight',
+    ANTI_KING: 'anti_king',
+    NON_CONSECUTIVE: 'non_consecutive',
+    NOT_CONSECUTIVE_PAIRS: 'not_consecutive_pairs',
+    WINDOKU: 'windoku',
+    SANDWICH: 'sandwich',
+    SKYSCRAPER: 'skyscraper',
+    LITTLE_KILLER: 'little_killer'
+};
+
+// Rules that apply to the whole board and can be turned on for any type of
+// sudoku. They are kept when the type changes.
+export const GLOBAL_RULE_TYPES = {
+    'Anti-Knight': RULE_TYPES.ANTI_KNIGHT,
+    'Anti-King': RULE_TYPES.ANTI_KING,
+    'Non-Consecutive': RULE_TYPES.NON_CONSECUTIVE,
+    'Windoku': RULE_TYPES.WINDOKU
+};
+
+export const UNIT_KINDS = {
+    ROW: 'row',
+    COLUMN: 'column',
+    GROUP: 'group',
+    DIAGONAL: 'diagonal',
+    REGION: 'region'
+};
+
+// The upper left cell of each of the five 9x9 boards of a samurai sudoku
+export const SAMURAI_SQUARES = [[0, 0], [0, 12], [6, 6], [12, 0], [12, 12]];
+
+const RULES = {};
+
+/**
+ * Adds a rule type to the registry. A rule is an object with either:
+ * expand(config, rule) - returns a list of simpler rules that make up this one
+ * or:
+ * cells(rule) - returns the list of [r, c] coords the rule covers
+ * check(rule, valueOf) - checks the rule against the values of the board, where
+ *     valueOf(r, c) returns the symbol in the cell, '' if empty. Must work on a
+ *     partially filled board, only reporting errors that can't be fixed by
+ *     filling in more cells. Returns:
+ *     {
+ *         errors:    list of [r, c] coords that break the rule,
+ *         satisfied: bool, true if the rule's cells are filled and correct
+ *     }
+ * units(rule) - optional, returns a list of units (see getUnits) if the rule
+ *     means some cells must all be different. The solver and hints reason
+ *     about units directly, and only use check() for rules without them.
+ * pairs(rule) - optional, for rules made of constraints between two cells,
+ *     returns a list of {cells: [[r1, c1], [r2, c2]], test(a, b)}, where test
+ *     takes the numeric values of the two cells and returns true if they are
+ *     allowed. The solver uses these to remove candidates as it goes.
+ */
+export const registerRule = (type, rule) => {
+    RULES[type] = rule;
+};
+
+/**
+ * Returns the numeric value of a symbol: 1-9, then A is 10, B is 11 and so on.
+ * NaN if it isn't a symbol.
+ */
+export const toNumber = (symbol) => {
+    const s = `${symbol}`.toUpperCase();
+    if (/^[1-9]$/.test(s)) {
+        return Number(s);
+    }
+    if (/^[A-Z]$/.test(s)) {
+        return s.charCodeAt(0) - 'A'.charCodeAt(0) + 10;
+    }
+    return NaN;
+};
+
+/**
+ * Returns a function (r, c) => symbol for the big values of the board. Empty
+ * cells and cells off the board are ''.
+ */
+export const getValueOf = (config) => (r, c) => {
+    const cell = config.cells[r] && config.cells[r][c];
+    return cell ? `${cell.val}`.toUpperCase() : '';
+};
+
+/**
+ * A sudoku square: every row and col must be unique, as well as every group.
+ * {
+ *     type:        'square',
+ *     firstSquare: coords [r, c] of the upper left cell,
+ *     sideLength:  number of rows and cols,
+ *     groups:      [height, width] of regular groups, or undefined to use the
+ *                  groups of the cells (config.groups),
+ *     name:        optional suffix for the unit names, like ' of board 2'
+ * }
+ */
+registerRule(RULE_TYPES.SQUARE, {
+    expand: (config, rule) => {
+        const [firstRow, firstCol] = rule.firstSquare;
+        const {sideLength, groups} = rule;
+        const suffix = rule.name || '';
+        const units = [];
+        for (let i = 0; i < sideLength; i++) {
+            const row = [], col = [];
+            for (let j = 0; j < sideLength; j++) {
+                row.push([firstRow + i, firstCol + j]);
+                col.push([firstRow + j, firstCol + i]);
+            }
+            units.push(
+                {type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.ROW, name: `row ${firstRow + i + 1}${suffix}`, cells: row},
+                {type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.COLUMN, name: `column ${firstCol + i + 1}${suffix}`, cells: col}
+            );
+        }
+        if (groups !== undefined) {
+            const [groupHeight, groupWidth] = groups;
+            let groupNum = 1;
+            for (let gr = 0; gr < sideLength; gr += groupHeight) {
+                for (let gc = 0; gc < sideLength; gc += groupWidth) {
+                    const group = [];
+                    for (let r = gr; r < gr + groupHeight; r++) {
+                        for (let c = gc; c < gc + groupWidth; c++) {
+                            group.push([firstRow + r, firstCol + c]);
+                        }
+                    }
+                    units.push({type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.GROUP, name: `group ${groupNum++}${suffix}`, cells: group});
+                }
+            }
+        } else {
+            // go by the groups defined by the cells' group value
+            const cellGroups = config.groups.map(g => []);
+            for (const [r, row] of config.cells.entries()) {
+                for (const [c, cell] of row.entries()) {
+                    if (cellGroups[cell.group]) {
+                        cellGroups[cell.group].push([r, c]);
+                    }
+                }
+            }
+            for (const [i, group] of cellGroups.entries()) {
+                if (group.length > 0) {
+                    units.push({type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.GROUP, name: `group ${i + 1}`, cells: group});
+                }
+            }
+        }
+        return units;
+    }
+});
+
+/**
+ * Every cell in the set must be different.
+ * {
+ *     type:  'unique',
+ *     cells: list of [r, c] coords,
+ *     kind:  optional, one of UNIT_KINDS, default region,
+ *     name:  optional readable name, such as 'the main diagonal'
+ * }
+ */
+registerRule(RULE_TYPES.UNIQUE, {
+    cells: (rule) => rule.cells,
+    units: (rule) => [{
+        kind: rule.kind || UNIT_KINDS.REGION,
+        name: rule.name || 'the region',
+        cells: rule.cells
+    }],
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c));
+        const errors = rule.cells.filter((cell, i) => vals[i] !== '' && vals.indexOf(vals[i]) !== vals.lastIndexOf(vals[i]));
+        return {errors, satisfied: errors.length === 0 && !vals.includes('')};
+    }
+});
+
+/**
+ * The values of the cells must add up to sum.
+ * {
+ *     type:  'sum',
+ *     cells: list of [r, c] coords,
+ *     sum:   number
+ * }
+ */
+registerRule(RULE_TYPES.SUM, {
+    cells: (rule) => rule.cells,
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c));
+        const filled = vals.filter(val => val !== '');
+        const total = filled.reduce((sum, val) => sum + toNumber(val), 0);
+        const isFilled = filled.length === vals.length;
+        // every empty cell adds at least 1
+        const broken = isFilled
+            ? total !== Number(rule.sum)
+            : isNaN(total) || total + vals.length - filled.length > Number(rule.sum);
+        return {
+            errors: broken ? rule.cells.filter((cell, i) => vals[i] !== '') : [],
+            satisfied: isFilled && !broken
+        };
+    }
+});
+
+/**
+ * The values must strictly increase along the path of cells.
+ * {
+ *     type:  'ordered',
+ *     cells: list of [r, c] coords, from the smallest value to the largest
+ * }
+ */
+registerRule(RULE_TYPES.ORDERED, {
+    cells: (rule) => rule.cells,
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c) === '' ? undefined : toNumber(valueOf(r, c)));
+        const broken = new Set();
+        for (let i = 0; i < vals.length; i++) {
+            for (let j = i + 1; j < vals.length; j++) {
+                // cells between i and j need room for a value each
+                if (vals[i] !== undefined && vals[j] !== undefined && !(vals[j] - vals[i] >= j - i)) {
+                    broken.add(i);
+                    broken.add(j);
+                }
+            }
+        }
+        return {
+            errors: rule.cells.filter((cell, i) => broken.has(i)),
+            satisfied: broken.size === 0 && !vals.includes(undefined)
+        };
+    }
+});
+
+/**
+ * A killer sudoku cage: the cells must all be different, and add up to sum.
+ * {
+ *     type:  'cage',
+ *     cells: list of [r, c] coords, in reading order,
+ *     sum:   number, or undefined if the cage has no sum clue
+ * }
+ */
+registerRule(RULE_TYPES.CAGE, {
+    expand: (config, rule) => {
+        const [r, c] = rule.cells[0];
+        const rules = [{
+            type: RULE_TYPES.UNIQUE,
+            kind: UNIT_KINDS.REGION,
+            name: `the cage at r${r + 1}c${c + 1}`,
+            cells: rule.cells
+        }];
+        if (rule.sum !== undefined) {
+            rules.push({type: RULE_TYPES.SUM, cells: rule.cells, sum: rule.sum});
+        }
+        return rules;
+    }
+});
+
+/**
+ * A thermometer: the values must strictly increase from the bulb.
+ * {
+ *     type:  'thermo',
+ *     cells: list of [r, c] coords along the line, starting at the bulb
+ * }
+ */
+registerRule(RULE_TYPES.THERMO, {
+    expand: (config, rule) => [{type: RULE_TYPES.ORDERED, cells: rule.cells}]
+});
+
+/**
+ * An arrow: the value in the circle equals the sum of the values along the
+ * arrow.
+ * {
+ *     type:  'arrow',
+ *     cells: list of [r, c] coords, the circle and then the cells of the arrow
+ * }
+ */
+registerRule(RULE_TYPES.ARROW, {
+    cells: (rule) => rule.cells,
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c));
+        const [circle, ...arrow] = vals;
+        const filled = arrow.filter(val => val !== '');
+        const total = filled.reduce((sum, val) => sum + toNumber(val), 0);
+        let broken = false;
+        if (circle !== '') {
+            // every empty cell on the arrow adds at least 1
+            broken = filled.length === arrow.length
+                ? total !== toNumber(circle)
+                : isNaN(total) || total + arrow.length - filled.length > toNumber(circle);
+        }
+        return {
+            errors: broken ? rule.cells.filter((cell, i) => vals[i] !== '') : [],
+            satisfied: !broken && !vals.includes('')
+        };
+    }
+});
+
+/**
+ * A palindrome: the values read the same from both ends of the line.
+ * {
+ *     type:  'palindrome',
+ *     cells: list of [r, c] coords along the line
+ * }
+ */
+registerRule(RULE_TYPES.PALINDROME, {
+    cells: (rule) => rule.cells,
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c));
+        const broken = new Set();
+        for (let i = 0; i < Math.floor(vals.length / 2); i++) {
+            const j = vals.length - 1 - i;
+            if (vals[i] !== '' && vals[j] !== '' && vals[i] !== vals[j]) {
+                broken.add(i);
+                broken.add(j);
+            }
+        }
+        return {
+            errors: rule.cells.filter((cell, i) => broken.has(i)),
+            satisfied: broken.size === 0 && !vals.includes('')
+        };
+    }
+});
+
+/**
+ * Edge marks sit on the border between two adjacent cells, and constrain just
+ * that pair of cells. Each looks like:
+ * {
+ *     type:  one of the edge mark types below,
+ *     cells: [[r1, c1], [r2, c2]], two orthogonally adjacent cells
+ * }
+ */
+const pairRule = (test) => ({
+    cells: (rule) => rule.cells,
+    pairs: (rule) => [{cells: rule.cells, test}],
+    check: (rule, valueOf) => {
+        const [a, b] = rule.cells.map(([r, c]) => valueOf(r, c));
+        const broken = a !== '' && b !== '' && !test(toNumber(a), toNumber(b));
+        return {
+            errors: broken ? rule.cells : [],
+            satisfied: a !== '' && b !== '' && !broken
+        };
+    }
+});
+
+// Kropki white dot: the values are consecutive
+registerRule(RULE_TYPES.WHITE_DOT, pairRule((a, b) => Math.abs(a - b) === 1));
+
+// Kropki black dot: one value is double the other
+registerRule(RULE_TYPES.BLACK_DOT, pairRule((a, b) => a === 2 * b || b === 2 * a));
+
+// X: the values add up to 10
+registerRule(RULE_TYPES.X, {
+    expand: (config, rule) => [{type: RULE_TYPES.SUM, cells: rule.cells, sum: 10}]
+});
+
+// V: the values add up to 5
+registerRule(RULE_TYPES.V, {
+    expand: (config, rule) => [{type: RULE_TYPES.SUM, cells: rule.cells, sum: 5}]
+});
+
+// Inequality sign: the value of the first cell is greater than the second
+registerRule(RULE_TYPES.GREATER, {
+    expand: (config, rule) => [{type: RULE_TYPES.ORDERED, cells: [...rule.cells].reverse()}]
+});
+
+/**
+ * Returns the cells that are part of the puzzle, the ones covered by the rules
+ * of the board other than the global rules, as a set of 'r,c' strings.
+ */
+const getPuzzleCells = (config) => {
+    const globalRules = getGlobalRules(config.rules);
+    const rules = expandRules({...config, rules: (config.rules || []).filter(rule => !globalRules.includes(rule))});
+    return new Set(rules.map(rule => ruleCells(rule).map(cell => `${cell}`)).flat());
+};
+
+/**
+ * Returns every pair of puzzle cells that are one of the moves apart, where a
+ * move is a [dr, dc] offset. Each pair is only listed once.
+ */
+const getMovePairs = (config, moves) => {
+    const cells = getPuzzleCells(config);
+    const pairs = [];
+    for (const key of cells) {
+        const [r, c] = key.split(',').map(Number);
+        for (const [dr, dc] of moves) {
+            const other = [r + dr, c + dc];
+            // only go forwards so each pair is found from one end
+            if ((dr > 0 || (dr === 0 && dc > 0)) && cells.has(`${other}`)) {
+                pairs.push([[r, c], other]);
+            }
+        }
+    }
+    return pairs;
+};
+
+const KNIGHT_MOVES = [[1, 2], [1, -2], [2, 1], [2, -1], [-1, 2], [-1, -2], [-2, 1], [-2, -1]];
+const KING_MOVES = [[0, 1], [1, -1], [1, 0], [1, 1], [0, -1], [-1, -1], [-1, 0], [-1, 1]];
+const ORTHOGONAL_MOVES = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+/**
+ * Anti-knight: cells a knight's move apart can't have the same value.
+ * { type: 'anti_knight' }
+ */
+registerRule(RULE_TYPES.ANTI_KNIGHT, {
+    expand: (config, rule) => getMovePairs(config, KNIGHT_MOVES).map(cells => ({
+        type: RULE_TYPES.UNIQUE,
+        name: `a knight's move from r${cells[0][0] + 1}c${cells[0][1] + 1}`,
+        cells
+    }))
+});
+
+/**
+ * Anti-king: cells a king's move apart can't have the same value.
+ * { type: 'anti_king' }
+ */
+registerRule(RULE_TYPES.ANTI_KING, {
+    expand: (config, rule) => getMovePairs(config, KING_MOVES).map(cells => ({
+        type: RULE_TYPES.UNIQUE,
+        name: `a king's move from r${cells[0][0] + 1}c${cells[0][1] + 1}`,
+        cells
+    }))
+});
+
+/**
+ * Non-consecutive: orthogonally adjacent cells can't have consecutive values.
+ * { type: 'non_consecutive' }
+ */
+registerRule(RULE_TYPES.NON_CONSECUTIVE, {
+    expand: (config, rule) => [{
+        type: RULE_TYPES.NOT_CONSECUTIVE_PAIRS,
+        pairs: getMovePairs(config, ORTHOGONAL_MOVES)
+    }]
+});
+
+/**
+ * The values of each pair of cells can't be consecutive. Checked as one rule
+ * rather than a rule per pair to keep the solver fast.
+ * {
+ *     type:  'not_consecutive_pairs',
+ *     pairs: list of [[r1, c1], [r2, c2]]
+ * }
+ */
+const notConsecutive = (a, b) => Math.abs(a - b) !== 1;
+
+registerRule(RULE_TYPES.NOT_CONSECUTIVE_PAIRS, {
+    cells: (rule) => rule.pairs.flat(),
+    pairs: (rule) => rule.pairs.map(cells => ({cells, test: notConsecutive})),
+    check: (rule, valueOf) => {
+        const errors = [];
+        let filled = true;
+        for (const [a, b] of rule.pairs) {
+            const [valA, valB] = [valueOf(...a), valueOf(...b)];
+            filled = filled && valA !== '' && valB !== '';
+            if (valA !== '' && valB !== '' && !notConsecutive(toNumber(valA), toNumber(valB))) {
+                errors.push(a, b);
+            }
+        }
+        return {errors, satisfied: filled && errors.length === 0};
+    }
+});
+
+/**
+ * Returns the extra regions of a Windoku board: in every square of the board
+ * whose side is a perfect square, the boxes one cell in from the regular boxes.
+ * For a 9x9 square these are the four 3x3 boxes starting at r2c2, r2c6, r6c2
+ * and r6c6. Each region is a list of [r, c] coords.
+ */
+export const getWindokuRegions = (config) => {
+    const regions = [];
+    for (const rule of config.rules || []) {
+        const boxSize = Math.sqrt(rule.sideLength);
+        if (rule.type !== RULE_TYPES.SQUARE || !Number.isInteger(boxSize) || boxSize < 2) {
+            continue;
+        }
+        const [firstRow, firstCol] = rule.firstSquare;
+        for (let br = 1; br + boxSize < rule.sideLength; br += boxSize + 1) {
+            for (let bc = 1; bc + boxSize < rule.sideLength; bc += boxSize + 1) {
+                const region = [];
+                for (let r = br; r < br + boxSize; r++) {
+                    for (let c = bc; c < bc + boxSize; c++) {
+                        region.push([firstRow + r, firstCol + c]);
+                    }
+                }
+                regions.push(region);
+            }
+        }
+    }
+    return regions;
+};
+
+/**
+ * Windoku: the extra regions from getWindokuRegions must all be different.
+ * { type: 'windoku' }
+ */
+registerRule(RULE_TYPES.WINDOKU, {
+    expand: (config, rule) => getWindokuRegions(config).map(cells => ({
+        type: RULE_TYPES.UNIQUE,
+        name: `the extra region at r${cells[0][0] + 1}c${cells[0][1] + 1}`,
+        cells
+    }))
+});
+
+/**
+ * Outside clues sit in the ring of cells around the board, at a position [r, c]
+ * where r is -1 or the height of the board, or c is -1 or its width. Sandwich
+ * and skyscraper clues look along the row or column next to them, and little
+ * killer clues along a diagonal.
+ */
+
+/**
+ * Returns the cells an outside clue covers, ordered going away from the clue,
+ * or undefined if the clue can't go at that position.
+ * @param type: one of RULE_TYPES.SANDWICH, SKYSCRAPER or LITTLE_KILLER
+ * @param position: [r, c] of the clue, outside the board
+ * @param dimensions: [height, width] of the board
+ * @param direction: for little killers, the [dr, dc] of the diagonal
+ */
+export const getClueCells = (type, position, dimensions, direction) => {
+    const [height, width] = dimensions.map(dim => Number(dim));
+    const [r, c] = position;
+    const onBoard = ([r, c]) => r >= 0 && r < height && c >= 0 && c < width;
+    let step = direction;
+    if (type !== RULE_TYPES.LITTLE_KILLER) {
+        const isRow = r >= 0 && r < height;
+        const isCol = c >= 0 && c < width;
+        if (isRow === isCol) {
+            return undefined;
+        }
+        step = isRow ? [0, c === -1 ? 1 : -1] : [r === -1 ? 1 : -1, 0];
+    }
+    const cells = [];
+    for (let cell = [r + step[0], c + step[1]]; onBoard(cell); cell = [cell[0] + step[0], cell[1] + step[1]]) {
+        cells.push(cell);
+    }
+    return cells.length > 0 ? cells : undefined;
+};
+
+/**
+ * Sandwich: the values between the smallest and the largest symbol of the line
+ * add up to sum.
+ * {
+ *     type:     'sandwich',
+ *     position: [r, c] of the clue, see getClueCells,
+ *     cells:    list of [r, c] coords of the row or column,
+ *     sum:      the sum of the values between the smallest and largest symbol
+ * }
+ */
+registerRule(RULE_TYPES.SANDWICH, {
+    cells: (rule) => rule.cells,
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c) === '' ? undefined : toNumber(valueOf(r, c)));
+        const [first, last] = [vals.indexOf(1), vals.indexOf(rule.cells.length)];
+        if (first === -1 || last === -1) {
+            return {errors: [], satisfied: false};
+        }
+        const [start, end] = [Math.min(first, last), Math.max(first, last)];
+        const between = vals.slice(start + 1, end);
+        const filled = between.filter(val => val !== undefined);
+        const total = filled.reduce((sum, val) => sum + val, 0);
+        const empty = between.length - filled.length;
+        // values between the crusts are at least 2 and at most one less than
+        // the largest
+        const broken = total + 2 * empty > Number(rule.sum)
+            || total + (rule.cells.length - 1) * empty < Number(rule.sum);
+        return {
+            errors: broken ? rule.cells.filter((cell, i) => i >= start && i <= end && vals[i] !== undefined) : [],
+            satisfied: !broken && !vals.includes(undefined)
+        };
+    }
+});
+
+/**
+ * Skyscraper: looking along the line from the clue, where each value is the
+ * height of a building and taller buildings hide shorter ones behind them,
+ * count buildings can be seen.
+ * {
+ *     type:     'skyscraper',
+ *     position: [r, c] of the clue, see getClueCells,
+ *     cells:    list of [r, c] coords of the row or column, from the clue,
+ *     count:    the number of buildings seen
+ * }
+ */
+registerRule(RULE_TYPES.SKYSCRAPER, {
+    cells: (rule) => rule.cells,
+    check: (rule, valueOf) => {
+        const vals = rule.cells.map(([r, c]) => valueOf(r, c) === '' ? undefined : toNumber(valueOf(r, c)));
+        // buildings seen before the first empty cell are seen whatever goes
+        // after, and nothing is seen past the tallest building
+        let seen = 0, tallest = 0, i = 0;
+        for (; i < vals.length && vals[i] !== undefined; i++) {
+            if (vals[i] > tallest) {
+                seen++;
+                tallest = vals[i];
+            }
+        }
+        const isFinal = i === vals.length || tallest === rule.cells.length;
+        const broken = seen > Number(rule.count) || (isFinal && seen !== Number(rule.count));
+        return {
+            errors: broken ? rule.cells.filter((cell, j) => j < i) : [],
+            satisfied: !broken && !vals.includes(undefined)
+        };
+    }
+});
+
+/**
+ * Little killer: the values along the diagonal add up to sum, values can
+ * repeat.
+ * {
+ *     type:      'little_killer',
+ *     position:  [r, c] of the clue, see getClueCells,
+ *     direction: [dr, dc] of the diagonal,
+ *     cells:     list of [r, c] coords of the diagonal,
+ *     sum:       the sum of the diagonal
+ * }
+ */
+registerRule(RULE_TYPES.LITTLE_KILLER, {
+    expand: (config, rule) => [{type: RULE_TYPES.SUM, cells: rule.cells, sum: rule.sum}]
+});
+
+/**
+ * Returns the global rules (see GLOBAL_RULE_TYPES) in a list of rules.
+ */
+export const getGlobalRules = (rules) => {
+    const globalTypes = Object.values(GLOBAL_RULE_TYPES);
+    return (rules || []).filter(rule => globalTypes.includes(rule.type));
+};
+
+/**
+ * Returns the rules for one of SUDOKU_TYPES on a board of the given dimensions.
+ */
+export const getTypeRules = (type, dimensions) => {
+    const square = (sideLength, groups, firstSquare = [0, 0], name = '') =>
+        ({type: RULE_TYPES.SQUARE, firstSquare, sideLength, groups, name});
+    switch (type) {
+        case SUDOKU_TYPES['12 x 12']:
+            return [square(12, [3, 4])];
+        case SUDOKU_TYPES['16 x 16']:
+            return [square(16, [4, 4])];
+        case SUDOKU_TYPES['Samurai']:
+            return SAMURAI_SQUARES.map((firstSquare, i) => square(9, [3, 3], firstSquare, ` of board ${i + 1}`));
+        case SUDOKU_TYPES['Squiggly']:
+            return [square(Number(dimensions[0]), undefined)];
+        case SUDOKU_TYPES['X']:
+            const x1 = [], x2 = [];
+            for (let i = 0; i < 9; i++) {
+                x1.push([i, i]);
+                x2.push([i, 8 - i]);
+            }
+            return [
+                square(9, [3, 3]),
+                {type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.DIAGONAL, name: 'the main diagonal', cells: x1},
+                {type: RULE_TYPES.UNIQUE, kind: UNIT_KINDS.DIAGONAL, name: 'the anti-diagonal', cells: x2}
+            ];
+        case SUDOKU_TYPES['Default']:
+        case SUDOKU_TYPES['Killer']:
+            // killer cages are added to the rules in the editor
+            return [square(9, [3, 3])];
+        default:
+            return [];
+    }
+};
+
+/**
+ * Expands config.rules into the list of rules that can be checked directly,
+ * replacing rules with an expand function by the rules they are made of.
+ * Rules with an unknown type are skipped.
+ */
+export const expandRules = (config) => {
+    const expand = (rule) => {
+        const def = RULES[rule.type];
+        if (def === undefined) {
+            return [];
+        }
+        return def.expand ? def.expand(config, rule).map(expand).flat() : [rule];
+    };
+    return (config.rules || []).map(expand).flat();
+};
+
+export const ruleCells = (rule) => RULES[rule.type].cells(rule);
+
+export const ruleUnits = (rule) => RULES[rule.type].units ? RULES[rule.type].units(rule) : undefined;
+
+export const rulePairs = (rule) => RULES[rule.type].pairs ? RULES[rule.type].pairs(rule) : undefined;
+
+export const checkRule = (rule, valueOf) => RULES[rule.type].check(rule, valueOf);
+
+/**
+ * Returns the cells of the units of rules that have a pencil mark for a symbol
+ * that is already a big value elsewhere in the unit.
+ */
+const markErrors = (config, rules, valueOf) => {
+    const errors = [];
+    for (const rule of rules) {
+        for (const unit of ruleUnits(rule) || []) {
+            const placed = new Set(unit.cells.map(([r, c]) => valueOf(r, c)).filter(val => val !== ''));
+            for (const [r, c] of unit.cells) {
+                const cell = config.cells[r] && config.cells[r][c];
+                const marks = cell && valueOf(r, c) === ''
+                    ? Object.values(MARK_KINDS).map(kind => getMarks(cell, kind)).flat()
+                    : [];
+                if (marks.some(mark => placed.has(mark))) {
+                    errors.push([r, c]);
+                }
+            }
+        }
+    }
+    return errors;
+};
+
+/**
+ * Checks every rule against the board, and the pencil marks against the big
+ * values of their units.
+ * @param rules: list of expanded rules, see expandRules
+ * Returns an object:
+ * {
+ *     errors:  list of [r, c] coords that break a rule,
+ *     markErrors: list of [r, c] coords that have a mark that can't be right,
+ *                 which doesn't make the board invalid
+ *     isValid: bool, true if no rule is broken,
+ *     isFilled: bool, true if every rule is satisfied
+ * }
+ */
+export const checkRules = (config, rules) => {
+    const valueOf = getValueOf(config);
+    const errors = [];
+    let isFilled = true;
+    for (const rule of rules) {
+        const result = checkRule(rule, valueOf);
+        errors.push(...result.errors);
+        isFilled = isFilled && result.satisfied;
+    }
+    return {errors, markErrors: markErrors(config, rules, valueOf), isValid: errors.length === 0, isFilled};
+};
+
+/**
+ * Indexes the expanded rules of config by the cells they cover. The index only
+ * changes with the rules and the groups of the board, so it can be kept
+ * between changes to the values, see findConflicts.
+ * Returns an object:
+ * {
+ *     rules:   list of expanded rules, see expandRules,
+ *     width:   width of the board,
+ *     rulesOf: Map from r * width + c to the list of rules covering [r, c]
+ * }
+ */
+export const indexRules = (config) => {
+    const rules = expandRules(config);
+    const width = Number(config.dimensions[1]);
+    const rulesOf = new Map();
+    for (const rule of rules) {
+        for (const [r, c] of ruleCells(rule)) {
+            const key = r * width + c;
+            if (!rulesOf.has(key)) {
+                rulesOf.set(key, []);
+            }
+            rulesOf.get(key).push(rule);
+        }
+    }
+    return {rules, width, rulesOf};
+};
+
+/**
+ * Finds the cells in conflict around the changed cells, checking only the rules
+ * that cover a changed cell, and the pencil marks in their units.
+ * @param changed: list of [r, c] coords of the cells that changed
+ * @param index: the rules of config indexed by cell, see indexRules. Built
+ *               from config if not given.
+ * Returns undefined if the board has no rules, otherwise:
+ * {
+ *     cells:  list of [r, c] coords of every cell that was checked,
+ *     errors: list of [r, c] coords of the checked cells that break a rule,
+ *     markErrors: list of [r, c] coords of the checked cells that have a
+ *                 mark that can't be right
+ * }
+ */
+export const findConflicts = (config, changed, index = indexRules(config)) => {
+    const {rules, width, rulesOf} = index;
+    if (rules.length === 0) {
+        return undefined;
+    }
+
+    const checked = new Map();
+    for (const [r, c] of changed) {
+        checked.set(r * width + c, [r, c]);
+        for (const rule of rulesOf.get(r * width + c) || []) {
+            for (const [r1, c1] of ruleCells(rule)) {
+                checked.set(r1 * width + c1, [r1, c1]);
+            }
+        }
+    }
+    // Check every rule that covers a checked cell, since any of them could
+    // have marked it as an error
+    const toCheck = new Set();
+    for (const key of checked.keys()) {
+        for (const rule of rulesOf.get(key) || []) {
+            toCheck.add(rule);
+        }
+    }
+    const valueOf = getValueOf(config);
+    const errors = new Map();
+    for (const rule of toCheck) {
+        for (const [r, c] of checkRule(rule, valueOf).errors) {
+            if (checked.has(r * width + c)) {
+                errors.set(r * width + c, [r, c]);
+            }
+        }
+    }
+    const marked = new Map();
+    for (const [r, c] of markErrors(config, [...toCheck], valueOf)) {
+        if (checked.has(r * width + c)) {
+            marked.set(r * width + c, [r, c]);
+        }
+    }
+    return {cells: [...checked.values()], errors: [...errors.values()], markErrors: [...marked.values()]};
+};
@@ -0,0 +1,185 @@
+import { SUDOKU_TYPES } from './common.js';
+import { MARK_KINDS } from './marks.js';
+import { RULE_TYPES } from './rules.js';
+
+/**
+ * Structural checks of a sudoku config (see Board for the format), so a broken
+ * or hand-edited file is refused with a clear message instead of breaking the
+ * board. Fields are only required from the version that added them, so old
+ * configs can be checked before they are upgraded.
+ */
+
+const KINDS = {
+    string: 'a string',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object'
+};
+
+const kindOf = (value) => {
+    if (Array.isArray(value)) {
+        return 'list';
+    }
+    return value === null ? 'null' : typeof value;
+};
+
+/**
+ * Returns the list of problems with a config, each starting with the path to
+ * the bad field, like 'cells[3][7].guess out of range'. The list is empty if
+ * the config is fine.
+ */
+export const checkConfig = (config) => {
+    const errors = [];
+    const fail = (path, problem) => errors.push(`${path} ${problem}`);
+
+    // Returns whether value is one of kinds, adding an error if it isn't
+    const expect = (path, value, ...kinds) => {
+        if (kinds.includes(kindOf(value))) {
+            return true;
+        }
+        fail(path, `is not ${kinds.map(kind => KINDS[kind] || `a ${kind}`).join(' or ')}`);
+        return false;
+    };
+    const expectOptional = (path, value, ...kinds) => value === undefined || expect(path, value, ...kinds);
+    const expectIndex = (path, value, min, length) => {
+        if (!Number.isInteger(value)) {
+            fail(path, 'is not a whole number');
+        } else if (value < min || value >= length) {
+            fail(path, 'out of range');
+        }
+    };
+
+    if (!expect('config', config, 'object')) {
+        return errors;
+    }
+    const version = config.version === undefined ? 1.0 : config.version;
+    if (!expect('version', version, 'number')) {
+        return errors;
+    }
+
+    // dimensions may be strings, from the dimension inputs
+    let height, width;
+    if (expect('dimensions', config.dimensions, 'list')) {
+        if (config.dimensions.length !== 2) {
+            fail('dimensions', 'is not [height, width]');
+        } else {
+            [height, width] = config.dimensions.map((dim, i) => {
+                const n = typeof dim === 'string' && dim.trim() !== '' ? Number(dim) : dim;
+                if (!Number.isInteger(n) || n < 1) {
+                    fail(`dimensions[${i}]`, 'is not a positive whole number');
+                    return undefined;
+                }
+                return n;
+            });
+        }
+    }
+
+    if (expect('groups', config.groups, 'list')) {
+        for (const [i, group] of config.groups.entries()) {
+            if (expect(`groups[${i}]`, group, 'object')) {
+                expect(`groups[${i}].color`, group.color, 'string');
+            }
+        }
+    }
+
+    const hasGuesses = version >= 1.1;
+    if (hasGuesses && expect('guesses', config.guesses, 'list')) {
+        for (const [i, guess] of config.guesses.entries()) {
+            if (expect(`guesses[${i}]`, guess, 'object')) {
+                expect(`guesses[${i}].color`, guess.color, 'string');
+                for (const key of ['isSmall', 'corner', 'editable', 'solver']) {
+                    expectOptional(`guesses[${i}].${key}`, guess[key], 'boolean');
+                }
+            }
+        }
+    }
+
+    if (expect('cells', config.cells, 'list')) {
+        if (height !== undefined && config.cells.length !== height) {
+            fail('cells', `has ${config.cells.length} rows instead of ${height}`);
+        }
+        for (const [r, row] of config.cells.entries()) {
+            if (!expect(`cells[${r}]`, row, 'list')) {
+                continue;
+            }
+            if (width !== undefined && row.length !== width) {
+                fail(`cells[${r}]`, `has ${row.length} cells instead of ${width}`);
+            }
+            for (const [c, cell] of row.entries()) {
+                const path = `cells[${r}][${c}]`;
+                if (!expect(path, cell, 'object')) {
+                    continue;
+                }
+                expect(`${path}.val`, cell.val, 'string', 'number');
+                if (Array.isArray(config.groups)) {
+                    expectIndex(`${path}.group`, cell.group, 0, config.groups.length);
+                }
+                if (hasGuesses && Array.isArray(config.guesses)) {
+                    expectIndex(`${path}.guess`, cell.guess, -1, config.guesses.length);
+                } else if (!hasGuesses) {
+                    expectOptional(`${path}.isGuess`, cell.isGuess, 'boolean');
+                }
+                expectOptional(`${path}.color`, cell.color, 'string');
+                expectOptional(`${path}.error`, cell.error, 'boolean');
+                expectOptional(`${path}.markError`, cell.markError, 'boolean');
+                for (const kind of Object.values(MARK_KINDS)) {
+                    if (!expectOptional(`${path}.${kind}`, cell[kind], 'object') || cell[kind] === undefined) {
+                        continue;
+                    }
+                    for (const [symbol, guess] of Object.entries(cell[kind])) {
+                        if (!/^[0-9A-Z]$/.test(symbol)) {
+                            fail(`${path}.${kind}`, `has a mark that is not a symbol: '${symbol}'`);
+                        } else if (Array.isArray(config.guesses)) {
+                            expectIndex(`${path}.${kind}['${symbol}']`, guess, 0, config.guesses.length);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    if (version >= 1.3 && !Object.values(SUDOKU_TYPES).includes(config.type)) {
+        fail('type', 'is not a known type of sudoku');
+    }
+    if (expectOptional('elapsed', config.elapsed, 'number') && config.elapsed < 0) {
+        fail('elapsed', 'is negative');
+    }
+    expectOptional('fileName', config.fileName, 'string');
+    expectOptional('rating', config.rating, 'object');
+
+    if (version >= 1.6 && expect('rules', config.rules, 'list')) {
+        const onBoard = ([r, c]) => height === undefined || width === undefined
+            || (r >= 0 && r < height && c >= 0 && c < width);
+        const isCoord = (coord) => Array.isArray(coord) && coord.length === 2 && coord.every(Number.isInteger);
+        for (const [i, rule] of config.rules.entries()) {
+            const path = `rules[${i}]`;
+            if (!expect(path, rule, 'object')) {
+                continue;
+            }
+            if (!Object.values(RULE_TYPES).includes(rule.type)) {
+                fail(`${path}.type`, 'is not a known rule');
+                continue;
+            }
+            if (rule.cells !== undefined && expect(`${path}.cells`, rule.cells, 'list')) {
+                for (const [j, coord] of rule.cells.entries()) {
+                    if (!isCoord(coord) || !onBoard(coord)) {
+                        fail(`${path}.cells[${j}]`, 'is not a cell on the board');
+                    }
+                }
+            }
+            if (rule.position !== undefined && !isCoord(rule.position)) {
+                fail(`${path}.position`, 'is not [row, column]');
+            }
+            if (rule.type === RULE_TYPES.SQUARE) {
+                const first = rule.firstSquare;
+                const side = rule.sideLength;
+                if (!isCoord(first) || !Number.isInteger(side) || side < 1
+                    || !onBoard(first) || !onBoard([first[0] + side - 1, first[1] + side - 1])) {
+                    fail(path, 'does not fit on the board');
+                }
+            }
+        }
+    }
+
+    return errors;
+};
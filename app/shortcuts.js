@@ -0,0 +1,193 @@
+/**
+ * Keyboard shortcuts. The shortcut map has a list of key combos for each
+ * action, like {undo: ['Ctrl+Z'], ...}. A combo is the held modifiers in the
+ * order Ctrl, Alt, Shift, Meta, then the key, joined by '+'. Digits go by the
+ * position of the key, so Shift+1 is 'Shift+1' and not 'Shift+!' (see
+ * keySymbol). The actions that take a symbol use '#' for it, so 'Alt+#' is Alt
+ * with any symbol.
+ */
+export const SHORTCUT_ACTIONS = {
+    MOVE_UP: 'move_up',
+    MOVE_DOWN: 'move_down',
+    MOVE_LEFT: 'move_left',
+    MOVE_RIGHT: 'move_right',
+    NEXT_EMPTY: 'next_empty',
+    SWITCH_GUESS: 'switch_guess',
+    TOGGLE_PENCIL: 'toggle_pencil',
+    CORNER_MARK: 'corner_mark',
+    CENTRE_MARK: 'centre_mark',
+    UNDO: 'undo',
+    REDO: 'redo',
+    VALIDATE: 'validate',
+    HINT: 'hint'
+};
+
+export const SHORTCUT_NAMES = {
+    [SHORTCUT_ACTIONS.MOVE_UP]: 'Move up',
+    [SHORTCUT_ACTIONS.MOVE_DOWN]: 'Move down',
+    [SHORTCUT_ACTIONS.MOVE_LEFT]: 'Move left',
+    [SHORTCUT_ACTIONS.MOVE_RIGHT]: 'Move right',
+    [SHORTCUT_ACTIONS.NEXT_EMPTY]: 'Next empty cell',
+    [SHORTCUT_ACTIONS.SWITCH_GUESS]: 'Switch to guess #',
+    [SHORTCUT_ACTIONS.TOGGLE_PENCIL]: 'Toggle pencil marks',
+    [SHORTCUT_ACTIONS.CORNER_MARK]: 'Corner mark #',
+    [SHORTCUT_ACTIONS.CENTRE_MARK]: 'Centre mark #',
+    [SHORTCUT_ACTIONS.UNDO]: 'Undo',
+    [SHORTCUT_ACTIONS.REDO]: 'Redo',
+    [SHORTCUT_ACTIONS.VALIDATE]: 'Validate',
+    [SHORTCUT_ACTIONS.HINT]: 'Hint'
+};
+
+// The actions whose combos end in '#'
+export const SYMBOL_ACTIONS = [
+    SHORTCUT_ACTIONS.SWITCH_GUESS,
+    SHORTCUT_ACTIONS.CORNER_MARK,
+    SHORTCUT_ACTIONS.CENTRE_MARK
+];
+
+export const DEFAULT_SHORTCUTS = {
+    [SHORTCUT_ACTIONS.MOVE_UP]: ['ArrowUp'],
+    [SHORTCUT_ACTIONS.MOVE_DOWN]: ['ArrowDown'],
+    [SHORTCUT_ACTIONS.MOVE_LEFT]: ['ArrowLeft'],
+    [SHORTCUT_ACTIONS.MOVE_RIGHT]: ['ArrowRight'],
+    [SHORTCUT_ACTIONS.NEXT_EMPTY]: ['Enter'],
+    [SHORTCUT_ACTIONS.SWITCH_GUESS]: ['Alt+#'],
+    [SHORTCUT_ACTIONS.TOGGLE_PENCIL]: ['Space'],
+    [SHORTCUT_ACTIONS.CORNER_MARK]: ['Shift+#', 'Alt+Shift+#'],
+    [SHORTCUT_ACTIONS.CENTRE_MARK]: ['Ctrl+#', 'Ctrl+Shift+#'],
+    [SHORTCUT_ACTIONS.UNDO]: ['Ctrl+Z'],
+    [SHORTCUT_ACTIONS.REDO]: ['Ctrl+Shift+Z', 'Ctrl+Y'],
+    [SHORTCUT_ACTIONS.VALIDATE]: ['Ctrl+Enter'],
+    [SHORTCUT_ACTIONS.HINT]: ['Shift+Enter']
+};
+
+// Movement keys that can be added with one click, as [up, down, left, right]
+export const MOVEMENT_PRESETS = {
+    'WASD': ['W', 'S', 'A', 'D'],
+    'Vim (hjkl)': ['K', 'J', 'H', 'L']
+};
+
+// A combo whose key is a digit or letter, such as 'Alt+3' but not 'F3'
+const SYMBOL_COMBO = /(^|\+)[0-9A-Z]$/;
+
+// A combo that holds Shift and another modifier, such as 'Ctrl+Shift+#'
+const LETTER_PATTERN = /^(?=.*\bShift\+)(?=.*\b(Ctrl|Alt|Meta)\+)/;
+
+// localStorage key of the shortcut map
+const SHORTCUTS_KEY = 'sudoku_shortcuts';
+
+/**
+ * Returns the symbol of the key of a keyboard event, '' if it isn't a digit or
+ * a letter. Letters go by the keyboard layout, and the rest by the position of
+ * the key, so that Shift+1 is still 1.
+ */
+export const keySymbol = (e) => {
+    if (/^[a-z]$/i.test(e.key)) {
+        return e.key.toUpperCase();
+    }
+    const match = /^(?:Digit|Numpad|Key)([0-9A-Z])$/.exec(e.code || '');
+    return match ? match[1] : '';
+};
+
+/**
+ * Returns the combo of a keyboard event, undefined if only a modifier was
+ * pressed.
+ */
+export const eventCombo = (e) => {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) {
+        return undefined;
+    }
+    const key = keySymbol(e) || (e.key === ' ' ? 'Space' : e.key);
+    return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta', key]
+        .filter(Boolean).join('+');
+};
+
+/**
+ * Finds the action of a combo in the shortcut map.
+ * @param symbols: the symbols of the board, the keys '#' stands for in the
+ *                 mark actions. For switching guesses it stands for a digit.
+ *                 '#' only stands for a letter with Shift and another
+ *                 modifier: Shift and a letter is how the letter symbols of
+ *                 12 x 12 and 16 x 16 boards are typed, and Ctrl, Alt or Meta
+ *                 and a letter are the browser's own shortcuts, like Ctrl+C.
+ * Returns {action, symbol} where symbol is the key '#' matched, or undefined
+ * if the combo has no action.
+ */
+export const findShortcut = (shortcuts, combo, symbols) => {
+    if (combo === undefined) {
+        return undefined;
+    }
+    for (const [action, combos] of Object.entries(shortcuts)) {
+        if (combos.includes(combo)) {
+            return {action, symbol: undefined};
+        }
+    }
+    if (!SYMBOL_COMBO.test(combo)) {
+        return undefined;
+    }
+    const symbol = combo[combo.length - 1];
+    const pattern = `${combo.slice(0, -1)}#`;
+    if (/^[A-Z]$/.test(symbol) && !LETTER_PATTERN.test(pattern)) {
+        return undefined;
+    }
+    for (const action of SYMBOL_ACTIONS) {
+        const matches = action === SHORTCUT_ACTIONS.SWITCH_GUESS ? /^[0-9]$/.test(symbol) : symbols.includes(symbol);
+        if (matches && (shortcuts[action] || []).includes(pattern)) {
+            return {action, symbol};
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Returns the shortcut map with combo added to action, and taken off any other
+ * action so a combo only does one thing. For the actions that take a symbol,
+ * the symbol key of the combo becomes '#'.
+ */
+export const addShortcut = (shortcuts, action, combo) => {
+    const newCombo = SYMBOL_ACTIONS.includes(action) && SYMBOL_COMBO.test(combo)
+        ? `${combo.slice(0, -1)}#`
+        : combo;
+    const newShortcuts = {};
+    for (const [other, combos] of Object.entries(shortcuts)) {
+        newShortcuts[other] = combos.filter(c => c !== newCombo);
+    }
+    if (!newShortcuts[action].includes(newCombo)) {
+        newShortcuts[action] = [...newShortcuts[action], newCombo];
+    }
+    return newShortcuts;
+};
+
+export const removeShortcut = (shortcuts, action, combo) => ({
+    ...shortcuts,
+    [action]: shortcuts[action].filter(c => c !== combo)
+});
+
+/**
+ * Returns the saved shortcut map, with the default combos for any action it
+ * doesn't have, or the defaults if there is none or it can't be read.
+ */
+export const loadShortcuts = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SHORTCUTS_KEY)) || {};
+        const shortcuts = {...DEFAULT_SHORTCUTS};
+        for (const action of Object.values(SHORTCUT_ACTIONS)) {
+            const combos = saved[action];
+            if (Array.isArray(combos) && combos.every(combo => typeof combo === 'string')) {
+                shortcuts[action] = combos;
+            }
+        }
+        return shortcuts;
+    } catch (e) {
+        return {...DEFAULT_SHORTCUTS};
+    }
+};
+
+export const saveShortcuts = (shortcuts) => {
+    try {
+        window.localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcuts));
+    } catch (e) {
+        // localStorage is full or not available, the shortcuts last until the
+        // page is closed
+    }
+};
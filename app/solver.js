@@ -0,0 +1,379 @@
+import {
+    checkRule,
+    expandRules,
+    ruleCells,
+    rulePairs,
+    ruleUnits,
+    toNumber
+} from './rules.js';
+
+export const SOLVE_STATUS = {
+    SOLVED: 'solved',
+    NO_SOLUTION: 'no_solution',
+    MULTIPLE: 'multiple',
+    INVALID: 'invalid',
+    UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * Returns the list of symbols that fill a board of size n. Boards larger than 9
+ * continue with letters, so a 16 x 16 board uses 1-9 and A-G.
+ */
+export const getSymbols = (n) => {
+    const symbols = [];
+    for (let i = 1; i <= n; i++) {
+        symbols.push(i <= 9 ? `${i}` : String.fromCharCode('A'.charCodeAt(0) + i - 10));
+    }
+    return symbols;
+};
+
+/**
+ * Returns every unit of the board, where a unit is a set of cells whose values
+ * must all be different, coming from the rules of the board (see rules.js).
+ * Each unit looks like:
+ * {
+ *     kind:  one of UNIT_KINDS,
+ *     name:  readable name of the unit, such as 'row 3',
+ *     cells: list of [r, c] coords
+ * }
+ * Returns undefined if the board has no units, or a unit goes off the board.
+ */
+export const getUnits = (config) => {
+    const [height, width] = config.dimensions.map(dim => Number(dim));
+    const units = expandRules(config).map(rule => ruleUnits(rule) || []).flat();
+    const onBoard = ([r, c]) => r >= 0 && r < height && c >= 0 && c < width;
+    if (units.length === 0 || !units.every(unit => unit.cells.every(onBoard))) {
+        return undefined;
+    }
+    return units;
+};
+
+const popcount = (n) => {
+    let count = 0;
+    while (n) {
+        n &= n - 1;
+        count++;
+    }
+    return count;
+};
+
+const lowestBit = (n) => 31 - Math.clz32(n & -n);
+
+/**
+ * Builds the structure the solver works on from a board config. Cells are
+ * indexed by r * width + c.
+ * Returns undefined if the board type is not supported.
+ * {
+ *     height, width,
+ *     size:    number of symbols, the size of the largest unit,
+ *     symbols: list of symbols, see getSymbols,
+ *     units:   list of units (see getUnits), with cells as lists of cell indices,
+ *     peers:   for each cell index, the list of cells that share a unit,
+ *     checks:  list of the rules without units, that are checked as the
+ *              search goes,
+ *     links:   for each cell index, the list of cells it shares a pair
+ *              constraint with (see rulePairs), as {other, masks} where
+ *              masks[d] is the bitmask of symbols allowed in other when the
+ *              cell is symbol d,
+ *     cells:   list of every cell index that belongs to a unit or check
+ * }
+ */
+export const createGrid = (config) => {
+    const units = getUnits(config);
+    if (units === undefined) {
+        return undefined;
+    }
+    const [height, width] = config.dimensions.map(dim => Number(dim));
+    const size = Math.max(...units.map(unit => unit.cells.length));
+    const checks = expandRules(config).filter(rule => ruleUnits(rule) === undefined);
+    const indexUnits = units.map(unit => ({
+        ...unit,
+        cells: unit.cells.map(([r, c]) => r * width + c)
+    }));
+    const peerSets = [];
+    for (let i = 0; i < height * width; i++) {
+        peerSets.push(new Set());
+    }
+    for (const unit of indexUnits) {
+        for (const i of unit.cells) {
+            for (const j of unit.cells) {
+                if (i !== j) {
+                    peerSets[i].add(j);
+                }
+            }
+        }
+    }
+    const symbols = getSymbols(size);
+    const links = peerSets.map(peers => []);
+    const onBoard = ([r, c]) => r >= 0 && r < height && c >= 0 && c < width;
+    for (const rule of checks) {
+        for (const {cells, test} of rulePairs(rule) || []) {
+            if (!cells.every(onBoard)) {
+                continue;
+            }
+            const [a, b] = cells.map(([r, c]) => r * width + c);
+            const values = symbols.map(toNumber);
+            // allowed(x, y) tests the linked cell being x and the other being y
+            const masks = (allowed) => values.map(x => values.reduce(
+                (mask, y, d) => allowed(x, y) ? mask | (1 << d) : mask, 0));
+            links[a].push({other: b, masks: masks((x, y) => test(x, y))});
+            links[b].push({other: a, masks: masks((x, y) => test(y, x))});
+        }
+    }
+    const checkCells = checks.map(rule => ruleCells(rule)
+        .filter(([r, c]) => r >= 0 && r < height && c >= 0 && c < width)
+        .map(([r, c]) => r * width + c));
+    const cells = [...new Set([...indexUnits.map(unit => unit.cells), ...checkCells].flat())]
+        .sort((a, b) => a - b);
+    return {
+        height,
+        width,
+        size,
+        symbols,
+        units: indexUnits,
+        peers: peerSets.map(peers => [...peers]),
+        checks,
+        links,
+        cells
+    };
+};
+
+/**
+ * Reads the big values of the board into a list of symbol indices, -1 for an
+ * empty cell. Pencil marks are left out.
+ * Returns undefined if a value is not one of the grid's symbols.
+ */
+export const readValues = (grid, config) => {
+    const values = new Array(grid.height * grid.width).fill(-1);
+    for (const i of grid.cells) {
+        const cell = config.cells[Math.floor(i / grid.width)][i % grid.width];
+        if (cell.val === '') {
+            continue;
+        }
+        const value = grid.symbols.indexOf(`${cell.val}`.toUpperCase());
+        if (value === -1) {
+            return undefined;
+        }
+        values[i] = value;
+    }
+    return values;
+};
+
+/**
+ * Returns the candidate bitmask of every cell, where bit n is set if symbol n
+ * can go in the cell. Only the given values are taken into account.
+ */
+export const getCandidates = (grid, values) => {
+    const full = (1 << grid.size) - 1;
+    const cands = new Array(grid.height * grid.width).fill(0);
+    for (const i of grid.cells) {
+        cands[i] = values[i] === -1 ? full : 1 << values[i];
+    }
+    for (const i of grid.cells) {
+        if (values[i] !== -1) {
+            for (const p of grid.peers[i]) {
+                if (values[p] === -1) {
+                    cands[p] &= ~(1 << values[i]);
+                }
+            }
+        }
+    }
+    return cands;
+};
+
+/**
+ * Eliminates the value of every single in queue from its peers and the cells
+ * linked to it by pair constraints, and fills in hidden singles, until nothing
+ * changes. Modifies cands in place.
+ * Returns false if a contradiction is found.
+ */
+const reduce = (grid, cands, queue) => {
+    const full = (1 << grid.size) - 1;
+    while (queue.length > 0) {
+        while (queue.length > 0) {
+            const i = queue.pop();
+            const bit = cands[i];
+            for (const p of grid.peers[i]) {
+                if (cands[p] & bit) {
+                    cands[p] &= ~bit;
+                    if (cands[p] === 0) {
+                        return false;
+                    }
+                    if ((cands[p] & (cands[p] - 1)) === 0) {
+                        queue.push(p);
+                    }
+                }
+            }
+            for (const {other, masks} of grid.links[i]) {
+                const allowed = cands[other] & masks[lowestBit(bit)];
+                if (allowed !== cands[other]) {
+                    cands[other] = allowed;
+                    if (allowed === 0) {
+                        return false;
+                    }
+                    if ((allowed & (allowed - 1)) === 0) {
+                        queue.push(other);
+                    }
+                }
+            }
+        }
+        // Only complete units must contain every symbol
+        for (const unit of grid.units) {
+            if (unit.cells.length !== grid.size) {
+                continue;
+            }
+            let once = 0, twice = 0;
+            for (const i of unit.cells) {
+                twice |= once & cands[i];
+                once |= cands[i];
+            }
+            if (once !== full) {
+                return false;
+            }
+            const hidden = once & ~twice;
+            if (hidden === 0) {
+                continue;
+            }
+            for (const i of unit.cells) {
+                const h = cands[i] & hidden;
+                if (h && cands[i] !== h) {
+                    if ((h & (h - 1)) !== 0) {
+                        return false;
+                    }
+                    cands[i] = h;
+                    queue.push(i);
+                }
+            }
+        }
+    }
+    return true;
+};
+
+/**
+ * Returns true if the cells solved so far break one of the grid's checks.
+ */
+const breaksChecks = (grid, cands) => {
+    if (grid.checks.length === 0) {
+        return false;
+    }
+    const valueOf = (r, c) => {
+        const cand = cands[r * grid.width + c];
+        return cand !== undefined && cand !== 0 && (cand & (cand - 1)) === 0
+            ? grid.symbols[lowestBit(cand)]
+            : '';
+    };
+    return grid.checks.some(rule => checkRule(rule, valueOf).errors.length > 0);
+};
+
+const shuffled = (list) => {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Backtracking search over the grid, starting from the candidate bitmasks in
+ * cands (see getCandidates). cands is not modified.
+ * @param limit: stop after finding this many solutions, default 2
+ * @param random: try candidates in a random order, used to build new boards
+ * @param maxGuesses: give up after trying this many candidates, returning the
+ *                    solutions found so far, default no limit
+ * Returns a list of at most limit solutions, each a list of symbol indices.
+ */
+export const searchCandidates = (grid, initialCands, limit = 2, random = false, maxGuesses = Infinity) => {
+    const solutions = [];
+    let guesses = 0;
+    const cands = [...initialCands];
+    for (const i of grid.cells) {
+        if (cands[i] === 0) {
+            return solutions;
+        }
+    }
+    const initialQueue = grid.cells.filter(i => (cands[i] & (cands[i] - 1)) === 0);
+    if (!reduce(grid, cands, initialQueue) || breaksChecks(grid, cands)) {
+        return solutions;
+    }
+
+    const search = (cands) => {
+        let best = -1, bestCount = grid.size + 1;
+        for (const i of grid.cells) {
+            const count = popcount(cands[i]);
+            if (count > 1 && count < bestCount) {
+                best = i;
+                bestCount = count;
+                if (count === 2) {
+                    break;
+                }
+            }
+        }
+        if (best === -1) {
+            solutions.push(cands.map(cand => cand === 0 ? -1 : lowestBit(cand)));
+            return;
+        }
+        const bits = [];
+        for (let cand = cands[best]; cand; cand &= cand - 1) {
+            bits.push(cand & -cand);
+        }
+        for (const bit of random ? shuffled(bits) : bits) {
+            if (++guesses > maxGuesses) {
+                return;
+            }
+            const next = [...cands];
+            next[best] = bit;
+            if (reduce(grid, next, [best]) && !breaksChecks(grid, next)) {
+                search(next);
+            }
+            if (solutions.length >= limit) {
+                return;
+            }
+        }
+    };
+    search(cands);
+    return solutions;
+};
+
+/**
+ * Backtracking search over the grid, starting from values. See searchCandidates.
+ */
+export const solveGrid = (grid, values, limit = 2, random = false, maxGuesses = Infinity) =>
+    searchCandidates(grid, getCandidates(grid, values), limit, random, maxGuesses);
+
+/**
+ * Solves the board in config, treating every big value already on the board as
+ * fixed.
+ * Returns an object:
+ * {
+ *     status:   one of SOLVE_STATUS,
+ *     solution: if status is SOLVED, a list of rows of symbols, '' for cells
+ *               that are not part of the puzzle
+ * }
+ */
+export const solve = (config) => {
+    const grid = createGrid(config);
+    if (grid === undefined) {
+        return {status: SOLVE_STATUS.UNSUPPORTED};
+    }
+    const values = readValues(grid, config);
+    if (values === undefined) {
+        return {status: SOLVE_STATUS.INVALID};
+    }
+    const solutions = solveGrid(grid, values, 2);
+    if (solutions.length === 0) {
+        return {status: SOLVE_STATUS.NO_SOLUTION};
+    } else if (solutions.length > 1) {
+        return {status: SOLVE_STATUS.MULTIPLE};
+    }
+    const solution = [];
+    for (let r = 0; r < grid.height; r++) {
+        const row = [];
+        for (let c = 0; c < grid.width; c++) {
+            const value = solutions[0][r * grid.width + c];
+            row.push(value === -1 ? '' : grid.symbols[value]);
+        }
+        solution.push(row);
+    }
+    return {status: SOLVE_STATUS.SOLVED, solution};
+};
@@ -2,13 +2,110 @@ import React, {
     useState,
     useRef,
     useImperativeHandle,
-    useEffect
+    useEffect,
+    useMemo
 } from 'react';
 import {
     Controls,
+    SUDOKU_TYPES,
     useEventListener,
     useInterval
 } from './common.js';
+import {
+    GLOBAL_RULE_TYPES,
+    RULE_TYPES,
+    checkRules,
+    expandRules,
+    findConflicts,
+    getClueCells,
+    getGlobalRules,
+    getTypeRules,
+    getWindokuRegions,
+    indexRules,
+    ruleUnits
+} from './rules.js';
+import {
+    SOLVE_STATUS,
+    getSymbols,
+    solve
+} from './solver.js';
+import { generatePuzzle } from './generator.js';
+import {
+    fromFPuzzles,
+    fromShareHash,
+    getFPuzzlesLinks,
+    parsePuzzleString,
+    readFPuzzles,
+    toFPuzzles,
+    toPuzzleString,
+    toShareHash
+} from './formats.js';
+import {
+    fillCandidates,
+    getCandidateGuess,
+    removeCandidate
+} from './candidates.js';
+import {
+    CORNER_POSITIONS,
+    MARK_KINDS,
+    clearMarks,
+    getMarkGuess,
+    getMarks,
+    hasMark,
+    hasMarks,
+    mapMarkGuesses,
+    markKind,
+    setMark
+} from './marks.js';
+import {
+    DIFFICULTIES,
+    EXTREME,
+    HINT_STATUS,
+    TECHNIQUES,
+    findHint,
+    ratePuzzle
+} from './hints.js';
+import {
+    deletePuzzle,
+    duplicatePuzzle,
+    exportLibrary,
+    importLibrary,
+    listPuzzles,
+    renamePuzzle,
+    savePuzzle
+} from './library.js';
+import {
+    boardToSVG,
+    printPage
+} from './print.js';
+import { checkConfig } from './schema.js';
+import {
+    DEFAULT_SHORTCUTS,
+    MOVEMENT_PRESETS,
+    SHORTCUT_ACTIONS,
+    SHORTCUT_NAMES,
+    addShortcut,
+    eventCombo,
+    findShortcut,
+    keySymbol,
+    loadShortcuts,
+    removeShortcut,
+    saveShortcuts
+} from './shortcuts.js';
+import {
+    UNDO,
+    addChange,
+    applyChange,
+    cellsChange,
+    configChange,
+    createHistory,
+    getChildren,
+    isHistory,
+    pathTo,
+    redoTarget,
+    setCheckpoint,
+    undoTarget
+} from './history.js';
 
 const LOCATIONS = {
     UPPER_RIGHT: 'up-right',
@@ -17,30 +114,85 @@ const LOCATIONS = {
     LOWER_LEFT: 'down-left',
 };
 
-const SUDOKU_TYPES = {
-    '12 x 12': '12x12',
-    '16 x 16': '16x16',
-    'Samurai': 'samurai',
-    'Squiggly': 'squiggly',
-    'X': 'x',
-    'Default': 'default',
-    'Other': 'other'
-};
-
 const VALIDATION_MSGS = {
     'valid': 'No errors detected since last validation.',
+    'marks': 'No errors detected, but some pencil marks are for symbols already placed in their unit.',
     'error': 'An error was detected on the sudoku board.'
 };
 
+const SOLVER_MSGS = {
+    [SOLVE_STATUS.SOLVED]: 'The sudoku has a unique solution.',
+    [SOLVE_STATUS.NO_SOLUTION]: 'The sudoku has no solution.',
+    [SOLVE_STATUS.MULTIPLE]: 'The sudoku has multiple solutions.',
+    [SOLVE_STATUS.INVALID]: 'The sudoku board contains values that are not valid for this type.',
+    [SOLVE_STATUS.UNSUPPORTED]: 'The solver does not support this type of sudoku.'
+};
+
+const HINT_MSGS = {
+    [HINT_STATUS.STUCK]: 'No cell can be filled in with the known techniques.',
+    [HINT_STATUS.SOLVED]: 'The sudoku board is already filled in.',
+    [HINT_STATUS.MISTAKE]: 'There is a mistake on the sudoku board, it has no solution.',
+    [HINT_STATUS.WRONG_MARKS]: 'The centre marks of the highlighted cells rule out their answers.',
+    [HINT_STATUS.INVALID]: 'The sudoku board contains values that are not valid for this type.',
+    [HINT_STATUS.UNSUPPORTED]: 'Hints are not supported for this type of sudoku.'
+};
+
+const LINE_TYPES = {
+    'Thermometer': RULE_TYPES.THERMO,
+    'Arrow': RULE_TYPES.ARROW,
+    'Palindrome': RULE_TYPES.PALINDROME
+};
+
+const EDGE_TYPES = {
+    'White Dot': RULE_TYPES.WHITE_DOT,
+    'Black Dot': RULE_TYPES.BLACK_DOT,
+    'X': RULE_TYPES.X,
+    'V': RULE_TYPES.V,
+    'Greater Than': RULE_TYPES.GREATER
+};
+
+const CLUE_TYPES = {
+    'Sandwich': RULE_TYPES.SANDWICH,
+    'Skyscraper': RULE_TYPES.SKYSCRAPER,
+    'Little Killer': RULE_TYPES.LITTLE_KILLER
+};
+
+// The [dr, dc] direction of a little killer diagonal for each arrow
+const LITTLE_KILLER_DIRECTIONS = {
+    '\u2198': [1, 1],
+    '\u2199': [1, -1],
+    '\u2197': [-1, 1],
+    '\u2196': [-1, -1]
+};
+
+// Width and height of a cell in pixels, matches .cell_container in sudoku.css
+const CELL_SIZE = 60;
+
+// Size of the pictures of boards in the library, in px
+const THUMBNAIL_SIZE = 72;
+
+// Choices for the number of puzzles on a printed page
+const PUZZLES_PER_PAGE = [1, 2, 4, 6];
+
+// What the buttons of the digit pad do
+const PAD_MODES = {
+    BIG: 'big',
+    CENTRE: MARK_KINDS.CENTRE,
+    CORNER: MARK_KINDS.CORNER,
+    COLOR: 'color'
+};
+
+// The colors of the digit pad in color mode, dark enough for the white values
+const PAD_COLORS = ['#8b0000', '#a0522d', '#808000', '#006400', '#008080', '#00008b', '#4b0082', '#8b008b', '#555555'];
+// Stands for the current board among the library puzzles chosen for printing
+const CURRENT_BOARD = 'current';
+
 const SELECT_TYPE = {
     DEFAULT: 'default',
     ADD: 'add',
-    SUB: 'sub'
-};
-
-const UNDO = {
-    FULL: 'full',
-    DIFF: 'diff'
+    SUB: 'sub',
+    // select only this cell, for clicking a cell while solving
+    ONLY: 'only'
 };
 
 /**
@@ -49,6 +201,139 @@ const UNDO = {
 const pad = t => `${Math.floor(t)}`.padStart(2, '0');
 const displayTime = t => `${t >= 60 * 60 ? pad(t / 60 / 60) + ':' : ''}${pad((t / 60) % 60)}:${pad(t % 60)}`;
 
+const getTypeName = type => Object.keys(SUDOKU_TYPES).find(name => SUDOKU_TYPES[name] === type) || '';
+
+// Number of problems from checkConfig listed when a config is refused
+const MAX_CONFIG_ERRORS = 5;
+
+/**
+ * Returns the message for a config refused by checkConfig, listing the first
+ * few problems.
+ * @param source: what the config came from, like the file name
+ * @param errors: the problems from checkConfig
+ */
+const describeConfigErrors = (source, errors) => {
+    const more = errors.length > MAX_CONFIG_ERRORS ? ` (and ${errors.length - MAX_CONFIG_ERRORS} more)` : '';
+    return `${source} is not a valid sudoku config: ${errors.slice(0, MAX_CONFIG_ERRORS).join('; ')}${more}`;
+};
+
+// Name to save or print a board under, from its file name or type
+const getPuzzleName = config => config.fileName
+    ? config.fileName.replace(/\.json$/, '')
+    : `${getTypeName(config.type)} puzzle`;
+
+// localStorage keys the board and undo history are autosaved under. While the
+// autosave from last time is offered, the current board is autosaved under the
+// other key, so neither is lost before one is chosen.
+const AUTOSAVE_KEYS = ['sudoku_autosave', 'sudoku_autosave_2'];
+
+// Added to an autosave key for the key of its elapsed time, which is saved on
+// its own so the timer doesn't write the whole board every second
+const ELAPSED_SUFFIX = '_elapsed';
+
+// Time to wait after a change before autosaving, in ms
+const AUTOSAVE_DELAY = 2000;
+
+/**
+ * Returns the most recent autosave as {key, config, history}, undefined if
+ * there is none or it can't be read. The history is a new one if the saved one
+ * can't be used.
+ */
+const readAutosave = () => {
+    const read = (key) => {
+        try {
+            const json = window.localStorage.getItem(key);
+            const saved = json && JSON.parse(json);
+            if (!saved || checkConfig(saved.config).length > 0) {
+                return undefined;
+            }
+            const elapsed = Number(window.localStorage.getItem(key + ELAPSED_SUFFIX));
+            return {
+                key,
+                config: {...saved.config, elapsed: elapsed || saved.config.elapsed || 0},
+                history: isHistory(saved.history) ? saved.history : createHistory(),
+                savedAt: saved.savedAt || 0
+            };
+        } catch (e) {
+            return undefined;
+        }
+    };
+    const saves = AUTOSAVE_KEYS.map(read).filter(Boolean).sort((a, b) => b.savedAt - a.savedAt);
+    return saves[0];
+};
+
+/**
+ * Autosaves the board and undo history under key, without the elapsed time
+ * (see writeElapsed). If they don't fit in localStorage, saves the board
+ * without the undo history.
+ */
+const writeAutosave = (key, config, history) => {
+    const {elapsed, ...board} = config;
+    const saved = {config: board, history, savedAt: Date.now()};
+    try {
+        window.localStorage.setItem(key, JSON.stringify(saved));
+    } catch (e) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify({...saved, history: createHistory()}));
+        } catch (e) {
+            // localStorage is full or not available, nothing to do
+        }
+    }
+};
+
+const writeElapsed = (key, elapsed) => {
+    try {
+        window.localStorage.setItem(key + ELAPSED_SUFFIX, `${elapsed}`);
+    } catch (e) {
+        // localStorage is full or not available, nothing to do
+    }
+};
+
+const clearAutosave = (key) => {
+    try {
+        window.localStorage.removeItem(key);
+        window.localStorage.removeItem(key + ELAPSED_SUFFIX);
+    } catch (e) {
+        // localStorage is not available
+    }
+};
+
+/**
+ * Returns whether the only change from prev to the current config and history
+ * is the time on the timer, which doesn't need the board autosaved again.
+ */
+const onlyTimeChanged = (prev, config, history) => prev.history === history
+    && prev.config.elapsed !== config.elapsed
+    && Object.keys({...prev.config, ...config}).every(key => key === 'elapsed' || prev.config[key] === config[key]);
+
+/**
+ * Sets the difficulty rating of the puzzle in config, or removes it if the
+ * givens don't make a puzzle with a unique solution yet.
+ */
+const setRating = (config) => {
+    const rating = ratePuzzle(config);
+    if (rating) {
+        config.rating = rating;
+    } else {
+        delete config.rating;
+    }
+    return config;
+};
+
+/* Name of one of DIFFICULTIES or EXTREME */
+const difficultyName = (difficulty) => difficulty === EXTREME
+    ? 'Extreme'
+    : Object.keys(DIFFICULTIES).find(name => DIFFICULTIES[name] === difficulty);
+
+/**
+ * Returns a readable description of a rating, see ratePuzzle.
+ */
+const displayRating = (rating) => {
+    const difficulty = difficultyName(rating.difficulty);
+    const technique = rating.technique ? TECHNIQUES[rating.technique].name : 'none';
+    return `${difficulty} (hardest technique: ${technique})`;
+};
+
 /**
  * Assuming a rectangular sudoku board with regular groups of a set width and
  * height, calculate the index of the group of the cell at [r, c].
@@ -59,7 +344,108 @@ const getGroup = (r, c, gHeight, gWidth, dimensions) => {
     return Math.floor(c / gWidth) + numCols * Math.floor(r / gHeight);
 };
 
-const CURR_VER = 1.5;
+/**
+ * Returns an empty board with regular groups of gHeight x gWidth cells, all
+ * black.
+ */
+const boxLayout = (config, dimensions, gHeight, gWidth) => {
+    const [height, width] = dimensions;
+    const cells = [];
+    for (let r = 0; r < height; r++) {
+        const row = [];
+        for (let c = 0; c < width; c++) {
+            row.push({val: '', guess: -1, group: getGroup(r, c, gHeight, gWidth, dimensions)});
+        }
+        cells.push(row);
+    }
+    const numGroups = (height / gHeight) * (width / gWidth);
+    const groups = [...Array(numGroups)].map(() => ({color: '#000000'}));
+    const newConfig = {...config, dimensions, cells, groups};
+    delete newConfig.rating;
+    return newConfig;
+};
+
+/**
+ * Returns config laid out as an empty board of the given type, with the rules
+ * of the type and the variant rules of config. Types without a fixed layout
+ * keep the board of config.
+ */
+const layoutType = (config, type) => {
+    let newConfig = config;
+    switch (type) {
+        case SUDOKU_TYPES['12 x 12']:
+            newConfig = boxLayout(config, [12, 12], 3, 4);
+            break;
+        case SUDOKU_TYPES['16 x 16']:
+            newConfig = boxLayout(config, [16, 16], 4, 4);
+            break;
+        case SUDOKU_TYPES['X']:
+            newConfig = boxLayout(config, [9, 9], 3, 3);
+            for (let i = 0; i < 9; i++) {
+                newConfig.cells[i][i].color = '#212121';
+                newConfig.cells[i][8 - i].color = '#212121';
+            }
+            break;
+        case SUDOKU_TYPES['Samurai']:
+            newConfig = boxLayout(config, [21, 21], 3, 3);
+            newConfig.groups = [
+                { 'color': '#000000' },
+                { 'color': '#000000' },
+                { 'color': '#2f4f4f' }
+            ];
+            const shadedGroups = [3, 10, 21, 22, 26, 27, 38, 45];
+            for (const row of newConfig.cells) {
+                for (const cell of row) {
+                    const isShaded = shadedGroups.indexOf(cell.group) !== -1;
+                    if (isShaded) {
+                        cell.group = 2;     // the shaded third group
+                        cell.guess = 0;     // make shaded not editable
+                    } else {
+                        cell.group %= 2;    // one of the first 2 groups
+                    }
+                }
+            }
+            break;
+        case SUDOKU_TYPES['Default']:
+        case SUDOKU_TYPES['Killer']:
+            newConfig = boxLayout(config, [9, 9], 3, 3);
+            break;
+        default:
+            break;
+    }
+    return {
+        ...newConfig,
+        type,
+        rules: [...getTypeRules(type, newConfig.dimensions), ...getGlobalRules(config.rules)]
+    };
+};
+
+/**
+ * Returns the symbols of the board, one for each cell of its largest unit, or
+ * for each cell of its longest side if it has no units.
+ */
+const getBoardSymbols = (config) => {
+    const sizes = expandRules(config).map(rule => (ruleUnits(rule) || []).map(unit => unit.cells.length)).flat();
+    return getSymbols(sizes.length > 0 ? Math.max(...sizes) : Math.max(...config.dimensions.map(dim => Number(dim))));
+};
+
+/**
+ * Writes the givens, a list of rows of symbols with '' for empty cells, into
+ * the cells of config with guess 0. Modifies config.cells in place.
+ */
+const setGivens = (config, givens) => {
+    for (const [r, row] of givens.entries()) {
+        for (const [c, given] of row.entries()) {
+            if (given !== '') {
+                config.cells[r][c].val = given;
+                config.cells[r][c].guess = 0;
+            }
+        }
+    }
+    return config;
+};
+
+const CURR_VER = 1.7;
 
 /**
  * A configurable sudoku board.
@@ -93,9 +479,16 @@ export const Sudoku = (props) => {
                 color: '#ff0000',
                 isSmall: true,
                 editable: true
+            },
+            {
+                color: '#ff0000',
+                isSmall: true,
+                corner: true,
+                editable: true
             }
         ],
         type: SUDOKU_TYPES['Default'],
+        rules: getTypeRules(SUDOKU_TYPES['Default'], [9, 9]),
         elapsed: 0
     });
     const [currGuess, setCurrGuess] = useState(0);
@@ -103,8 +496,32 @@ export const Sudoku = (props) => {
     const [selectedCells, setSelectedCells] = useState([]);
     const [validationState, setValidationState] = useState(undefined);
     const [validationHidden, setValidationHidden] = useState(false);
+    const [solverState, setSolverState] = useState(undefined);
+    const [hint, setHint] = useState(undefined);
+    const [autoCandidates, setAutoCandidates] = useState(false);
+    const [liveValidation, setLiveValidation] = useState(false);
+    const [editingClues, setEditingClues] = useState(undefined);
+    const [loadError, setLoadError] = useState(undefined);
+    const [generating, setGenerating] = useState(false);
+    // why the last generated puzzle isn't what was asked for, if it isn't
+    const [generateNote, setGenerateNote] = useState(undefined);
+    const [droppedFeatures, setDroppedFeatures] = useState([]);
+    // the digit pad is shown from the start on touch screens
+    const [showPad, setShowPad] = useState(() => Boolean(window.matchMedia
+        && window.matchMedia('(pointer: coarse)').matches));
+    const [padColorMode, setPadColorMode] = useState(false);
+    const [shortcuts, setShortcuts] = useState(loadShortcuts);
+    // the autosave found on load, until it is restored or discarded. It isn't
+    // offered when the page was opened from a share link, so the shared board
+    // isn't replaced by an older one.
+    const [autosave, setAutosave] = useState(() => fromShareHash(window.location.hash) === undefined
+        ? readAutosave()
+        : undefined);
 
     const fileRef = useRef(null);
+    // the config of the latest render, for finishing a puzzle generated meanwhile
+    const latestConfig = useRef(config);
+    latestConfig.current = config;
     const boardRef = useRef(null);
     const rootRef = useRef(null);
 
@@ -118,7 +535,17 @@ export const Sudoku = (props) => {
     }, 1000, inFocus && timerStarted, false);
 
     useEffect(() => {
-        resetGroups(config, true);
+        // open the board from a share link, see getShareLink
+        const shared = fromShareHash(window.location.hash);
+        const errors = shared ? checkConfig(shared) : [];
+        if (shared && errors.length === 0) {
+            setConfig(setRating(upgrade(shared)));
+        } else {
+            if (errors.length > 0) {
+                setLoadError(describeConfigErrors('The shared link', errors));
+            }
+            setConfig(resetGroups(config, true));
+        }
     }, []);
 
     const cellOrDiv = (r, c) => {
@@ -130,10 +557,12 @@ export const Sudoku = (props) => {
     };
 
     const setGuesses = (guesses) => {
-        setConfig({...config, guesses});
+        recordUndo('Guesses');
+        setSetupConfig({...config, guesses});
     };
 
     const deleteGuess = (i) => {
+        recordUndo('Delete guess');
         const newConfig = {...config};
         newConfig.guesses.splice(i, 1);
         for (const row of newConfig.cells) {
@@ -142,12 +571,14 @@ export const Sudoku = (props) => {
                 if (cell.guess >= i) {
                     cell.guess = Math.max(0, cell.guess - 1);
                 }
+                // Marks of guess i are removed
+                mapMarkGuesses(cell, guess => guess === i ? -1 : guess > i ? guess - 1 : guess);
             }
         }
-        setConfig(newConfig);
+        setSetupConfig(newConfig);
     };
 
-    /* If a cell has this guess, set val to '' */
+    /* If a cell has this guess, set val to '', and remove the marks of it */
     const clearGuess = (i) => {
         const newConfig = {...config};
         const prevCells = JSON.parse(JSON.stringify(config.cells));
@@ -157,9 +588,15 @@ export const Sudoku = (props) => {
                     cell.val = '';
                     cell.guess = -1;
                 }
+                mapMarkGuesses(cell, guess => guess === i ? -1 : guess);
             }
         }
-        addUndoFull(prevCells, newConfig.cells);
+        addUndoCells(prevCells, newConfig.cells);
+        // Clearing the givens changes the puzzle itself, so its rating is out
+        // of date until it is rated again, see rateConfig
+        if (!newConfig.guesses[i].editable) {
+            delete newConfig.rating;
+        }
         setConfig(newConfig);
         validate(newConfig);
     };
@@ -180,34 +617,143 @@ export const Sudoku = (props) => {
         if (!timerStarted && currGuess === 1 && config.type !== SUDOKU_TYPES['Other']) {
             setTimerStarted(true);
         }
+        const guess = val === '' ? -1 : currGuess;
+        // marks are typed with cellsInput instead
+        if (guess !== -1 && config.guesses[guess].isSmall) {
+            return;
+        }
         const prevVal = config.cells[r][c].val;
+        const prevCells = autoCandidates ? JSON.parse(JSON.stringify(config.cells)) : undefined;
         const newConfig = {...config};
-        const guess = val === '' ? -1 : currGuess;
-        const isSmall = guess !== -1 && newConfig.guesses[guess].isSmall;
-        newConfig.cells[r][c].val = val.length > 1 && !isSmall
-            ? diff(prevVal, val)
-            : isSmall
-                ? val.split('').sort().join('')
-                : val;
+        newConfig.cells[r][c].val = val.length > 1 ? diff(prevVal, val) : val;
         const prevGuess = newConfig.cells[r][c].guess;
         newConfig.cells[r][c].guess = guess;
+        // Editing a given changes the puzzle itself, so its rating is out of
+        // date until it is rated again, see rateConfig
+        const isGiven = (i) => i !== -1 && !newConfig.guesses[i].editable;
+        if (isGiven(prevGuess) || isGiven(guess)) {
+            delete newConfig.rating;
+        }
+        // Placing a big value removes it from the candidates of its peers
+        const removed = autoCandidates && guess !== -1
+            && removeCandidate(newConfig, r, c, newConfig.cells[r][c].val);
+        setHint(undefined);
         setConfig(newConfig);
-        addUndoDiff([r, c], prevVal, newConfig.cells[r][c].val, prevGuess, guess);
-        validate(newConfig);
+        if (removed) {
+            addUndoCells(prevCells, newConfig.cells);
+        } else {
+            addUndoDiff([r, c], prevVal, newConfig.cells[r][c].val, prevGuess, guess);
+        }
+        if (liveValidation) {
+            liveValidate(newConfig, [[r, c]]);
+        } else {
+            validate(newConfig);
+        }
+    };
+
+    /**
+     * Type a symbol into cells as one undo step. A big guess is written into
+     * each cell, and a mark is toggled: added to every cell, or removed from
+     * them all if they all have it already. Marks are of the kind given, or of
+     * the current guess if it is a small one. An empty symbol clears the big
+     * values of the cells, and the marks of the cells without one. Cells with
+     * a non-editable guess are skipped, and so are cells with a big value when
+     * toggling a mark.
+     * @param kind: one of MARK_KINDS, or undefined to go by the current guess
+     */
+    const cellsInput = (cells, symbol, kind) => {
+        const current = config.guesses[currGuess];
+        const isMark = symbol !== '' && (kind !== undefined || (current !== undefined && current.isSmall));
+        const guess = symbol === ''
+            ? -1
+            : kind !== undefined ? getMarkGuess(config, currGuess, kind) : currGuess;
+        if (symbol !== '' && config.guesses[guess] === undefined) {
+            return;
+        }
+        const markType = isMark ? markKind(config.guesses[guess]) : undefined;
+        const prevCells = JSON.parse(JSON.stringify(config.cells));
+        const newConfig = {...config};
+        const targets = cells.filter(([r, c]) => {
+            // the selection may be from before the board was resized
+            const cell = newConfig.cells[r] && newConfig.cells[r][c];
+            if (cell === undefined) {
+                return false;
+            }
+            const editable = cell.guess === -1 || cell.guess === currGuess || newConfig.guesses[cell.guess].editable;
+            return editable && (!isMark || cell.val === '');
+        });
+        if (targets.length === 0) {
+            return;
+        }
+        const removeMark = isMark && targets.every(([r, c]) => hasMark(newConfig.cells[r][c], markType, symbol));
+        if (!timerStarted && currGuess === 1 && config.type !== SUDOKU_TYPES['Other']) {
+            setTimerStarted(true);
+        }
+        let changesGiven = false;
+        for (const [r, c] of targets) {
+            const cell = newConfig.cells[r][c];
+            const isGiven = (i) => i !== -1 && !newConfig.guesses[i].editable;
+            if (isMark) {
+                setMark(cell, markType, symbol, removeMark ? -1 : guess);
+            } else if (symbol === '' && cell.val === '') {
+                clearMarks(cell);
+            } else {
+                changesGiven = changesGiven || isGiven(cell.guess) || isGiven(guess);
+                cell.val = symbol;
+                cell.guess = guess;
+            }
+        }
+        if (changesGiven) {
+            delete newConfig.rating;
+        }
+        // Placing big values removes them from the marks of their peers
+        if (autoCandidates && !isMark && guess !== -1) {
+            for (const [r, c] of targets) {
+                removeCandidate(newConfig, r, c, symbol);
+            }
+        }
+        addUndoCells(prevCells, newConfig.cells);
+        setHint(undefined);
+        setConfig(newConfig);
+        if (liveValidation) {
+            liveValidate(newConfig, targets);
+        } else {
+            validate(newConfig);
+        }
+    };
+
+    /* Fill every empty cell with its candidates as a small guess */
+    const fillBoardCandidates = () => {
+        const newConfig = {...config};
+        const prevCells = JSON.parse(JSON.stringify(config.cells));
+        if (fillCandidates(newConfig, getCandidateGuess(newConfig, currGuess))) {
+            addUndoCells(prevCells, newConfig.cells);
+            setConfig(newConfig);
+        }
+    };
+
+    const toggleAutoCandidates = () => {
+        if (!autoCandidates) {
+            fillBoardCandidates();
+        }
+        setAutoCandidates(!autoCandidates);
     };
 
 
     const dimensionsCallback = (height, width, defaultBoard) => {
+        recordUndo('Dimensions');
         const newConfig = {...config};
         newConfig.dimensions = [height, width];
-        resetGroups(newConfig, defaultBoard);
+        setSetupConfig(resetGroups(newConfig, defaultBoard));
     };
 
+    /* Returns config with empty cells for its dimensions, in one group or 3x3 groups */
     const resetGroups = (config, defaultBoard) => {
         const newConfig = {...config};
         const [height, width] = newConfig.dimensions;
         newConfig.cells = [];
         newConfig.groups = [];
+        delete newConfig.rating;
         for (let i = 0; i < height; i++) {
             const row = [];
             for (let j = 0; j < width; j++) {
@@ -225,16 +771,18 @@ export const Sudoku = (props) => {
         if (!defaultBoard) {
             newConfig.groups.push({color: '#000000'});
         }
-        setConfig(conf => newConfig);
+        return newConfig;
     };
 
     const groupCallback = (i, color) => {
+        recordUndo('Group color');
         const newConfig = {...config};
         newConfig.groups[i].color = color;
-        setConfig(newConfig);
+        setSetupConfig(newConfig);
     };
 
     const deleteGroup = (i) => {
+        recordUndo('Delete group');
         const newConfig = {...config};
         newConfig.groups.splice(i, 1);
         for (const row of newConfig.cells) {
@@ -245,14 +793,16 @@ export const Sudoku = (props) => {
                 }
             }
         }
-        setConfig(newConfig);
+        setSetupConfig(newConfig);
     };
 
     const addGroup = () => {
-        setConfig(conf => ({...conf, groups: [...conf.groups, {color: '#000000'}]}));
+        recordUndo('Add group');
+        setSetupConfig({...config, groups: [...config.groups, {color: '#000000'}]});
     };
 
     const chooseCell = (i) => {
+        recordUndo('Group cells');
         const newConfig = {...config};
         const newSelectedCells = [];
         if (i !== undefined) {
@@ -263,7 +813,8 @@ export const Sudoku = (props) => {
                     }
                 }
             }
-        } else if (chooseCells !== 'cells') {
+        } else if (typeof chooseCells === 'number') {
+            // confirm the cells chosen for group chooseCells
             for (const cell of selectedCells) {
                 const [r, c] = cell;
                 newConfig.cells[r][c].group = chooseCells;
@@ -282,11 +833,116 @@ export const Sudoku = (props) => {
         }
         setChooseCells(i);
         setSelectedCells(newSelectedCells);
-        setConfig(newConfig);
+        setSetupConfig(newConfig);
+    };
+
+    /* Add the selected cells as a killer cage and stop choosing cells */
+    const confirmCage = (sum) => {
+        recordUndo('Killer cage');
+        const newConfig = {...config};
+        if (selectedCells.length > 0) {
+            const cells = [...selectedCells].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+            newConfig.rules = [...newConfig.rules, {
+                type: RULE_TYPES.CAGE,
+                cells,
+                sum: isNaN(sum) ? undefined : sum
+            }];
+        }
+        setChooseCells(undefined);
+        setSelectedCells([]);
+        setSetupConfig(newConfig);
+    };
+
+    const setCageSum = (i, sum) => {
+        recordUndo('Cage sum');
+        const rules = [...config.rules];
+        rules[i] = {...rules[i], sum: sum === '' || isNaN(sum) ? undefined : Number(sum)};
+        setSetupConfig({...config, rules});
+    };
+
+    /* Add the selected cells, in the order they were selected, as a line rule */
+    const confirmLine = (type) => {
+        recordUndo('Line');
+        const newConfig = {...config};
+        if (selectedCells.length > 1) {
+            newConfig.rules = [...newConfig.rules, {type, cells: [...selectedCells]}];
+        }
+        setChooseCells(undefined);
+        setSelectedCells([]);
+        setSetupConfig(newConfig);
+    };
+
+    /**
+     * Add an edge mark between each pair of selected cells that were selected
+     * one after the other and are next to each other. For inequality signs the
+     * first cell of the pair is the greater one.
+     */
+    const confirmEdge = (type) => {
+        recordUndo('Edge marks');
+        const newConfig = {...config};
+        const marks = [];
+        for (let i = 1; i < selectedCells.length; i++) {
+            const [[r1, c1], [r2, c2]] = [selectedCells[i - 1], selectedCells[i]];
+            if (Math.abs(r1 - r2) + Math.abs(c1 - c2) === 1) {
+                marks.push({type, cells: [[r1, c1], [r2, c2]]});
+            }
+        }
+        newConfig.rules = [...newConfig.rules, ...marks];
+        setChooseCells(undefined);
+        setSelectedCells([]);
+        setSetupConfig(newConfig);
+    };
+
+    /**
+     * Put an outside clue of the type being edited at position, replacing any
+     * clue already there. An empty value removes the clue.
+     */
+    const setOutsideClue = (position, value) => {
+        const {type, direction} = editingClues;
+        const cells = getClueCells(type, position, config.dimensions, direction);
+        if (value !== '' && (isNaN(value) || cells === undefined)) {
+            return;
+        }
+        const isAt = (rule) => rule.position && rule.position[0] === position[0] && rule.position[1] === position[1];
+        recordUndo('Outside clue');
+        const rules = config.rules.filter(rule => !isAt(rule));
+        if (value !== '') {
+            const clue = {type, position, cells};
+            if (type === RULE_TYPES.SKYSCRAPER) {
+                clue.count = Number(value);
+            } else {
+                clue.sum = Number(value);
+            }
+            if (type === RULE_TYPES.LITTLE_KILLER) {
+                clue.direction = direction;
+            }
+            rules.push(clue);
+        }
+        setSetupConfig({...config, rules});
+    };
+
+    /* Turn one of GLOBAL_RULE_TYPES on or off */
+    const toggleGlobalRule = (type) => {
+        recordUndo('Variant rule');
+        const isOn = config.rules.some(rule => rule.type === type);
+        const rules = isOn
+            ? config.rules.filter(rule => rule.type !== type)
+            : [...config.rules, {type}];
+        const newConfig = {...config, rules};
+        setSetupConfig(newConfig);
+        if (liveValidation) {
+            const allCells = newConfig.cells.map((row, r) => row.map((cell, c) => [r, c])).flat();
+            liveValidate(newConfig, allCells);
+        }
+    };
+
+    const deleteRule = (i) => {
+        recordUndo('Delete rule');
+        setSetupConfig({...config, rules: config.rules.filter((rule, j) => j !== i)});
     };
 
     const selectedCellsCB = (cell, selectChoice = SELECT_TYPE.DEFAULT, dragCells = undefined) => {
-        const newSelectedCells = [...selectedCells];
+        let newSelectedCells = [...selectedCells];
         if (dragCells !== undefined) {
             if (selectChoice === SELECT_TYPE.ADD) {
                 newSelectedCells.push(...dragCells);
@@ -295,6 +951,8 @@ export const Sudoku = (props) => {
                     return dragCells.findIndex(c2 => c1[0] === c2[0] && c1[1] === c2[1]) === -1;
                 });
             }
+        } else if (selectChoice === SELECT_TYPE.ONLY) {
+            newSelectedCells = [cell];
         } else {
             const [r, c] = cell;
             const index = newSelectedCells.findIndex(n => n[0] === r && n[1] === c);
@@ -308,6 +966,7 @@ export const Sudoku = (props) => {
     };
 
     const setCellsColor = (color) => {
+        recordUndo('Cell color');
         const newSelectedCells = [...selectedCells];
         const newConfig = {...config};
         if (color) {
@@ -321,110 +980,218 @@ export const Sudoku = (props) => {
                 delete newConfig.cells[r][c].color;
             }
         }
-        setConfig(newConfig);
+        setSetupConfig(newConfig);
     };
 
-    const setGroups = (cellHeight, cellWidth) => {
-        setConfig(conf => {
-            const newConfig = {...conf};
-            for (const [r, row] of newConfig.cells.entries()) {
-                for (const [c, cell] of row.entries()) {
-                    cell.group = getGroup(r, c, cellHeight, cellWidth, newConfig.dimensions);
-                }
+    const setType = (type) => {
+        recordUndo('Type');
+        setSetupConfig(layoutType(config, type));
+    };
+
+    /**
+     * Lay out an empty board of the given type, then fill it with a generated
+     * puzzle whose givens use guess 0. Generating takes a while, the board
+     * is replaced once it's done.
+     */
+    const newPuzzle = (type, difficulty) => {
+        const newConfig = {...layoutType(config, type), elapsed: 0};
+        setGenerating(true);
+        setGenerateNote(undefined);
+        generatePuzzle(newConfig, difficulty).then(puzzle => {
+            setGenerating(false);
+            if (puzzle === undefined) {
+                setGenerateNote('Puzzles of this type can\'t be generated.');
+                return;
             }
-            return newConfig;
+            if (puzzle.rating.difficulty !== difficulty) {
+                setGenerateNote(`No ${difficultyName(difficulty)} puzzle was found in time, `
+                    + `this one is rated ${displayRating(puzzle.rating)}.`);
+            }
+            fillPuzzle(type, newConfig, puzzle);
         });
     };
 
-    const setType = (type) => {
-        switch (type) {
-            case SUDOKU_TYPES['12 x 12']:
-                dimensionsCallback(12, 12, false);
-                for (let i = 0; i < 11; i++) {
-                    addGroup();
-                }
-                setGroups(3, 4);
-                break;
-            case SUDOKU_TYPES['16 x 16']:
-                dimensionsCallback(16, 16, false);
-                for (let i = 0; i < 15; i++) {
-                    addGroup();
-                }
-                setGroups(4, 4);
-                break;
-            case SUDOKU_TYPES['X']:
-                dimensionsCallback(9, 9, true);
-                const xCoords = [];
-                for (let i = 0; i < 9; i++) {
-                    xCoords.push([i, i]);
-                    xCoords.push([i, 8 - i]);
-                }
-                setConfig(conf => {
-                    const newConfig = {...conf};
-                    for (const [r, c] of xCoords) {
-                        newConfig.cells[r][c].color = '#212121';
-                    }
-                    return newConfig;
-                });
-                break;
-            case SUDOKU_TYPES['Samurai']:
-                dimensionsCallback(21, 21, false);
-                setConfig(conf => {
-                    const newConfig = {...conf};
-                    newConfig.groups = [
-                        { 'color': '#000000' },
-                        { 'color': '#000000' },
-                        { 'color': '#2f4f4f' }
-                    ];
-                    const shadedGroups = [3, 10, 21, 22, 26, 27, 38, 45];
-                    for (const [r, row] of newConfig.cells.entries()) {
-                        for (const [c, cell] of row.entries()) {
-                            const groupNum = getGroup(r, c, 3, 3, newConfig.dimensions);
-                            const isShaded = shadedGroups.indexOf(groupNum) !== -1;
-                            cell.group = isShaded
-                                ? 2             // the shaded third group
-                                : groupNum % 2; // one of the first 2 groups
-                            if (isShaded) {
-                                cell.guess = 0; // make shaded not editable
-                            }
-                        }
-                    }
-                    return newConfig;
-                });
-                break;
-            case SUDOKU_TYPES['Default']:
-                dimensionsCallback(9, 9, true);
-                break;
-            default:
-                break;
+    /* Fill the board laid out for newPuzzle with the generated puzzle */
+    const fillPuzzle = (type, newConfig, puzzle) => {
+        delete newConfig.fileName;
+        if (puzzle.groups) {
+            newConfig.dimensions = [9, 9];
+            newConfig.rules = [...getTypeRules(type, [9, 9]), ...getGlobalRules(config.rules)];
+            newConfig.groups = puzzle.groups.map(g => ({color: '#000000'}));
+            newConfig.cells = puzzle.groups.map(row => row.map(group => ({
+                val: '',
+                guess: -1,
+                group
+            })));
         }
-        setConfig(conf => ({...conf, type}));
-        resetUndo();
+        recordUndo('New puzzle', latestConfig.current);
+        setSetupConfig({...setGivens(newConfig, puzzle.givens), rating: puzzle.rating});
+        setTimerStarted(false);
+        setValidationState(undefined);
+        setSolverState(undefined);
+        setHint(undefined);
+    };
+
+    /**
+     * Lay out an empty board for a puzzle string (see parsePuzzleString), then
+     * fill in its givens with guess 0.
+     * @param fileName: name of the file the string was loaded from, if any
+     */
+    const importPuzzle = (text, fileName) => {
+        const puzzle = parsePuzzleString(text);
+        if (puzzle === undefined) {
+            setLoadError('Not a valid puzzle string, expected 81, 144 or 256 symbols or . for empty cells.');
+            return;
+        }
+        const newConfig = {...layoutType({...config, rules: []}, puzzle.type), elapsed: 0};
+        if (fileName) {
+            newConfig.fileName = fileName.replace(/\.txt$/, '.json');
+        } else {
+            delete newConfig.fileName;
+        }
+        setLoadError(openConfig(setGivens(newConfig, puzzle.givens), fileName || 'The puzzle string'));
+    };
+
+    /**
+     * Rates the puzzle if it isn't rated yet, see setRating. Rating takes a
+     * full solve, so it is done when the puzzle is saved or the rating is
+     * asked for, not on every change to the givens.
+     * Returns the rated config.
+     */
+    const rateConfig = () => {
+        if (config.rating) {
+            return config;
+        }
+        const newConfig = setRating({...config});
+        setConfig(newConfig);
+        return newConfig;
     };
 
     const save = () => {
+        const rated = rateConfig();
         const a = document.createElement('a');
-        const file = new Blob([JSON.stringify(config, null, 2)], {type: 'application/json'});
+        const file = new Blob([JSON.stringify(rated, null, 2)], {type: 'application/json'});
         a.href = URL.createObjectURL(file);
         a.download = config.fileName || 'sudoku.json';
         a.click();
     };
 
+    /**
+     * Load a board from an f-puzzles puzzle, as JSON or a link (see
+     * readFPuzzles), keeping track of the features that couldn't be converted.
+     */
+    const importFPuzzles = (text) => {
+        const puzzle = readFPuzzles(text);
+        const result = puzzle && fromFPuzzles(puzzle);
+        if (!result) {
+            setLoadError('Not a valid f-puzzles puzzle or link.');
+            setDroppedFeatures([]);
+            return;
+        }
+        const error = openConfig({...result.config, version: CURR_VER}, 'The f-puzzles puzzle');
+        setLoadError(error);
+        setDroppedFeatures(error ? [] : result.dropped);
+    };
+
+    /* Save the board as an f-puzzles JSON file */
+    const saveFPuzzles = () => {
+        const result = toFPuzzles(config);
+        if (result === undefined) {
+            return;
+        }
+        const a = document.createElement('a');
+        const file = new Blob([JSON.stringify(result.puzzle, null, 2)], {type: 'application/json'});
+        a.href = URL.createObjectURL(file);
+        a.download = (config.fileName || 'sudoku.json').replace(/\.json$/, '') + '.fpuzzles.json';
+        a.click();
+    };
+
+    /**
+     * Returns a link to this page that opens the current board, and puts it in
+     * the address bar.
+     */
+    const getShareLink = () => {
+        const link = window.location.href.split('#')[0] + toShareHash(config);
+        window.history.replaceState(null, '', link);
+        return link;
+    };
+
+    /* Save the givens of the board as a puzzle string in a text file */
+    const savePuzzleString = () => {
+        const text = toPuzzleString(config);
+        if (text === undefined) {
+            return;
+        }
+        const a = document.createElement('a');
+        const file = new Blob([text], {type: 'text/plain'});
+        a.href = URL.createObjectURL(file);
+        a.download = (config.fileName || 'sudoku.json').replace(/\.json$/, '') + '.txt';
+        a.click();
+    };
+
     const load = () => {
         const file = fileRef.current.files[0];
+        if (!file) {
+            return;
+        }
         file.text().then(text => {
-            const newConfig = JSON.parse(text);
-            newConfig.fileName = file.name;
-            setConfig(upgrade(newConfig));
-            resetUndo();
+            if (file.name.endsWith('.txt')) {
+                importPuzzle(text, file.name);
+                return;
+            }
+            let newConfig;
+            try {
+                newConfig = JSON.parse(text);
+            } catch (e) {
+                setLoadError(`${file.name} is not valid JSON: ${e.message}`);
+                return;
+            }
+            if (newConfig && typeof newConfig === 'object') {
+                newConfig.fileName = file.name;
+            }
+            setLoadError(openConfig(newConfig, file.name));
         });
     };
 
-    const upgrade = (config) => {
-        const version = config.version || 1.0;
-        if (version < 1.1) {
-            // convert to current guess style
-            for (const row of config.cells) {
+    /**
+     * Open a board loaded from a file, the library or an import: refuse it if
+     * it is broken (see checkConfig), otherwise upgrade it to the current
+     * version and start a new undo history for it.
+     * @param source: what the board was loaded from, for the error message
+     * Returns why the board couldn't be opened, undefined if it was.
+     */
+    const openConfig = (newConfig, source) => {
+        const errors = checkConfig(newConfig);
+        if (errors.length > 0) {
+            return describeConfigErrors(source, errors);
+        }
+        setConfig(setRating(upgrade(newConfig)));
+        setDroppedFeatures([]);
+        resetUndo();
+        setTimerStarted(false);
+        setValidationState(undefined);
+        setSolverState(undefined);
+        setHint(undefined);
+        return undefined;
+    };
+
+    /**
+     * Open a puzzle saved in the library. Returns why the puzzle couldn't be
+     * opened, undefined if it was.
+     */
+    const openPuzzle = (puzzle) => {
+        const error = openConfig(puzzle.config, puzzle.name);
+        if (error === undefined) {
+            setLoadError(undefined);
+        }
+        return error;
+    };
+
+    const upgrade = (config) => {
+        const version = config.version || 1.0;
+        if (version < 1.1) {
+            // convert to current guess style
+            for (const row of config.cells) {
                 for (const cell of row) {
                     cell.guess = cell.isGuess ? 1 : 0;
                     delete cell.isGuess;
@@ -510,125 +1277,63 @@ export const Sudoku = (props) => {
             // add elapsed field
             config.elapsed = 0;
         }
+        if (version < 1.6) {
+            // add the rules of the board's type
+            config.rules = getTypeRules(config.type, config.dimensions);
+        }
+        if (version < 1.7) {
+            // add new default guess for corner marks at index 3, like the small
+            // guess was added in 1.5
+            config.guesses.splice(3, 0, {
+                color: '#ff0000',
+                isSmall: true,
+                corner: true,
+                editable: true
+            });
+            for (const row of config.cells) {
+                for (const cell of row) {
+                    if (cell.guess >= 3) {
+                        cell.guess += 1;
+                    }
+                    // small guesses were free text, they become centre marks
+                    const guess = config.guesses[cell.guess];
+                    if (guess && guess.isSmall) {
+                        for (const mark of `${cell.val}`.split('').filter(mark => /^[0-9a-z]$/i.test(mark))) {
+                            setMark(cell, MARK_KINDS.CENTRE, mark, cell.guess);
+                        }
+                        cell.val = '';
+                        cell.guess = -1;
+                    }
+                }
+            }
+        }
         config.version = CURR_VER;
         return config;
     };
 
     const validate = (c) => {
         const newConfig = c ? {...c} : {...config};
-        if (newConfig.type === SUDOKU_TYPES['Other']) {
+        const rules = expandRules(newConfig);
+        if (rules.length === 0) {
             return;
         }
         // clear errors at start of validate
         for (const row of newConfig.cells) {
             for (const cell of row) {
                 cell.error = undefined;
+                cell.markError = undefined;
             }
         }
 
-        /**
-         * Default validate, generic validation method.
-         * @param ops.firstSquare: coords [height, width] for the first square, maps
-         *     the board to validate from this square
-         * @param ops.sideLength: length of a side, determines how many rows and
-         *     cols to check. Assumes the board is square
-         * @param ops.groups: if it's lengths (such as 3x3 or 3x4 or 4x4) then its
-         *     the group dimensions to validate. If not, then for each group in
-         *     this.state.config.groups validate
-         */
-        const ops = {firstSquare: [0, 0], sideLength: 9, groups: [3, 3]};
-        const isSmallGuess = (cell) => cell.guess !== -1 && newConfig.guesses[cell.guess].isSmall;
-        const allUnique = (cellList) => {
-            const list = cellList.map(cell => isSmallGuess(cell) ? '' : cell.val);
-            const isUnique = new Set(list.map((v, i) => v !== '' ? v : i)).size === list.length;
-            if (!isUnique) {
-                for (const cell of cellList) {
-                    cell.error = true;
-                }
-            }
-            return isUnique;
-        };
-        const defaultValidate = (ops) => {
-            const {sideLength, groups} = ops;
-            const [firstRow, firstCol] = ops.firstSquare
-            let isValid = true;
-            let isFilled = true;
-            // validate all rows
-            const rowSlice = newConfig.cells.slice(firstRow, firstRow + sideLength);
-            for (const fullRow of rowSlice) {
-                const row = fullRow.slice(firstCol, firstCol + sideLength);
-                isValid = allUnique(row) && isValid;
-                // Empty cells or filled with small guesses are "not filled"
-                isFilled = isFilled && row.find(cell => cell.val === '' || isSmallGuess(cell)) === undefined;
-            }
-            // validate all cols
-            for (let c = firstCol; c < firstCol + sideLength; c++) {
-                const col = rowSlice.map(row => row[c]);
-                isValid = allUnique(col) && isValid;
-            }
-            // validate all groups
-            let cellGroups = [];
-            if (groups !== undefined) {
-                // go group by group defined by the group dimensions
-                const [groupHeight, groupWidth] = groups;
-                const numGroups = ((firstRow + sideLength) / groupHeight) * ((firstCol + sideLength) / groupWidth);
-                for (let i = 0; i < numGroups; i++) {
-                    cellGroups.push([]);
-                }
-                for (const [r, fullRow] of Object.entries(rowSlice)) {
-                    const row = fullRow.slice(firstCol, firstCol + sideLength);
-                    for (const [c, cell] of Object.entries(row)) {
-                        const g = Math.floor((Math.floor(Number(r) / groupHeight) * sideLength + Number(c)) / groupWidth);
-                        cellGroups[g].push(cell);
-                    }
-                }
-            } else {
-                // go by the groups defined by the cells' group value
-                cellGroups = newConfig.groups.map(g => []);
-                for (const row of newConfig.cells) {
-                    for (const cell of row) {
-                        cellGroups[cell.group].push(cell);
-                    }
-                }
-            }
-            for (const grp of cellGroups) {
-                isValid = allUnique(grp) && isValid;
-            }
-            return [isValid, isFilled];
-        };
-
-        if (newConfig.type === SUDOKU_TYPES['12 x 12']) {
-            ops.sideLength = 12;
-            ops.groups = [3, 4];
-        } else if (newConfig.type === SUDOKU_TYPES['16 x 16']) {
-            ops.sideLength = 16;
-            ops.groups = [4, 4];
-        } else if (newConfig.type === SUDOKU_TYPES['Squiggly']) {
-            ops.groups = undefined;
-        }
-        let [isValid, isFilled] = defaultValidate(ops);
-        if (newConfig.type === SUDOKU_TYPES['X']) {
-            const x1 = [], x2 = [];
-            for (let i = 0; i < 9; i++) {
-                x1.push(newConfig.cells[i][i]);
-                x2.push(newConfig.cells[i][8 - i]);
-            }
-            const x1Valid = allUnique(x1);
-            const x2Valid = allUnique(x2);
-            isValid = isValid && x1Valid && x2Valid;
-        }
-        if (newConfig.type === SUDOKU_TYPES['Samurai']) {
-            // above validate checks the first board, validate the other 4
-            const initialCells = [[0, 12], [6, 6], [12, 0], [12, 12]];
-            for (const initialCell of initialCells) {
-                ops.firstSquare = initialCell;
-                const [sectionValid, sectionFilled] = defaultValidate(ops);
-                isValid = sectionValid && isValid;
-                isFilled = sectionFilled && isFilled;
-            }
+        const {errors, markErrors, isValid, isFilled} = checkRules(newConfig, rules);
+        for (const [r, c] of errors) {
+            newConfig.cells[r][c].error = true;
+        }
+        for (const [r, c] of markErrors) {
+            newConfig.cells[r][c].markError = true;
         }
         if (isValid) {
-            setValidationState(VALIDATION_MSGS.valid);
+            setValidationState(markErrors.length > 0 ? VALIDATION_MSGS.marks : VALIDATION_MSGS.valid);
             if (isFilled) {
                 setTimeout(() =>
                     alert('Congratulations! You completed the sudoku puzzle!\nTime: ' + displayTime(newConfig.elapsed)),
@@ -642,97 +1347,303 @@ export const Sudoku = (props) => {
         setConfig(newConfig);
     };
 
+    /**
+     * Run the solver on the board. If fill is true and there is a unique
+     * solution, write the answers into the empty cells using the solver guess,
+     * which is added to the guesses if there isn't one yet.
+     */
+    const solveBoard = (fill) => {
+        const result = solve(config);
+        setSolverState(result.status);
+        if (!fill || result.status !== SOLVE_STATUS.SOLVED) {
+            return;
+        }
+        const newConfig = {...config};
+        const prevCells = JSON.parse(JSON.stringify(config.cells));
+        let solverGuess = newConfig.guesses.findIndex(guess => guess.solver);
+        if (solverGuess === -1) {
+            newConfig.guesses = [...newConfig.guesses, {
+                color: '#00bfff',
+                isSmall: false,
+                editable: true,
+                solver: true
+            }];
+            solverGuess = newConfig.guesses.length - 1;
+        }
+        for (const [r, row] of newConfig.cells.entries()) {
+            for (const [c, cell] of row.entries()) {
+                if (result.solution[r][c] !== '' && cell.val === '') {
+                    cell.val = result.solution[r][c];
+                    cell.guess = solverGuess;
+                    cell.error = undefined;
+                    cell.markError = undefined;
+                }
+            }
+        }
+        addUndoCells(prevCells, newConfig.cells);
+        setTimerStarted(false);
+        setConfig(newConfig);
+    };
+
+    const getHint = () => {
+        setHint(findHint(config));
+    };
+
+    // The group of every cell, since group changes are made to the cells in
+    // place and don't give a new config.rules or config.groups
+    const groupLayout = config.cells.map(row => row.map(cell => cell.group).join()).join(';');
+    // The rules indexed by cell for live checking, only built again when the
+    // layout of the board changes
+    const ruleIndex = useMemo(() => indexRules(config), [config.rules, config.groups, groupLayout]);
+    // The symbols of the board, which also only change with its layout
+    const symbols = useMemo(() => getBoardSymbols(config),
+        [config.rules, config.type, config.dimensions, config.groups, groupLayout]);
+
+    /**
+     * Check only the constraints of the changed cells, without the full pass
+     * and completion check of validate().
+     */
+    const liveValidate = (conf, changed) => {
+        const newConfig = {...conf};
+        // conf has new rules when a rule was just turned on or off
+        const index = conf.rules === config.rules ? ruleIndex : indexRules(conf);
+        const conflicts = findConflicts(newConfig, changed, index);
+        if (conflicts === undefined) {
+            return;
+        }
+        for (const [r, c] of conflicts.cells) {
+            newConfig.cells[r][c].error = undefined;
+            newConfig.cells[r][c].markError = undefined;
+        }
+        for (const [r, c] of conflicts.errors) {
+            newConfig.cells[r][c].error = true;
+        }
+        for (const [r, c] of conflicts.markErrors) {
+            newConfig.cells[r][c].markError = true;
+        }
+        const hasError = newConfig.cells.some(row => row.some(cell => cell.error));
+        const hasMarkError = newConfig.cells.some(row => row.some(cell => cell.markError));
+        setValidationState(hasError
+            ? VALIDATION_MSGS.error
+            : hasMarkError ? VALIDATION_MSGS.marks : VALIDATION_MSGS.valid);
+        setConfig(newConfig);
+    };
+
+    const toggleLiveValidation = () => {
+        if (!liveValidation) {
+            const allCells = config.cells.map((row, r) => row.map((cell, c) => [r, c])).flat();
+            liveValidate(config, allCells);
+        }
+        setLiveValidation(!liveValidation);
+    };
+
     const hideValidate = () => {
         setValidationHidden(validationHidden => !validationHidden);
     };
 
-    const [undoHistory, setUndoHistory] = useState([]);
-    const [undoIndex, setUndoIndex] = useState(-1);
+    const [history, setHistory] = useState(createHistory());
 
-    const undo = () => {
-        if (undoIndex > -1) {
-            const currUndo = undoHistory[undoIndex];
-            const {type} = currUndo;
-            if (type === UNDO.FULL) {
-                const newConfig = {...config, cells: [...currUndo.prevCells]};
-                setConfig(newConfig);
-                validate(newConfig);
-            } else {
-                const { coords, prevVal, prevGuess } = currUndo;
-                const [r, c] = coords;
-                const prevCells = [...config.cells];
-                prevCells[r][c].val = prevVal;
-                prevCells[r][c].guess = prevGuess;
-                const newConfig = {...config, cells: prevCells};
-                setConfig(newConfig);
-                validate(newConfig);
-                document.getElementById(`${cellOrDiv(r, c)}_${r}_${c}`).focus();
-            }
-            setUndoIndex(undoIndex - 1);
+    /**
+     * Move the board to a node of the history, undoing and redoing the changes
+     * on the way there.
+     */
+    const goTo = (target) => {
+        if (target < 0 || target >= history.nodes.length || target === history.current) {
+            return;
+        }
+        const {steps, history: newHistory} = pathTo(history, target);
+        let newConfig = config;
+        for (const {change, forward} of steps) {
+            newConfig = applyChange(newConfig, change, forward);
+        }
+        setConfig(newConfig);
+        setHistory(newHistory);
+        validate(newConfig);
+        // keep typing in the cell after undoing or redoing one value
+        if (steps.length === 1 && steps[0].change.type === UNDO.DIFF) {
+            const [r, c] = steps[0].change.coords;
+            document.getElementById(`${cellOrDiv(r, c)}_${r}_${c}`).focus();
         }
     };
 
-    const redo = () => {
-        if (undoIndex < undoHistory.length - 1) {
-            const newUndoIndex = undoIndex + 1;
-            setUndoIndex(newUndoIndex);
-            const currUndo = undoHistory[newUndoIndex];
-            const {type} = currUndo;
-            if (type === UNDO.FULL) {
-                const newConfig = {...config, cells: [...currUndo.newCells]};
-                setConfig(newConfig);
-                validate(newConfig)
-            } else {
-                const { coords, newVal, newGuess } = currUndo;
-                const [r, c] = coords;
-                const newCells = [...config.cells];
-                newCells[r][c].val = newVal;
-                newCells[r][c].guess = newGuess;
-                const newConfig = {...config, cells: newCells};
-                setConfig(newConfig);
-                validate(newConfig)
-                document.getElementById(`${cellOrDiv(r, c)}_${r}_${c}`).focus();
-            }
+    const undo = () => goTo(undoTarget(history));
+
+    const redo = () => goTo(redoTarget(history));
+
+    /* Switch between writing big values and centre marks */
+    const togglePencil = () => {
+        const current = config.guesses[currGuess];
+        const newGuess = current && current.isSmall
+            ? config.guesses.findIndex(guess => !guess.isSmall && guess.editable)
+            : getMarkGuess(config, currGuess, MARK_KINDS.CENTRE);
+        if (newGuess !== -1) {
+            setPadColorMode(false);
+            setCurrGuess(newGuess);
         }
     };
 
-    const addUndoFull = (prevCells, newCells) => {
-        const newUndo = undoHistory.slice(0, undoIndex + 1).concat({
-            type: UNDO.FULL,
-            prevCells: [...prevCells],
-            newCells: [...newCells]
-        });
-        setUndoHistory(newUndo);
-        setUndoIndex(undoIndex + 1);
+    /* Run the action of a keyboard shortcut that isn't about the cell */
+    const shortcutAction = (action) => {
+        const actions = {
+            [SHORTCUT_ACTIONS.UNDO]: undo,
+            [SHORTCUT_ACTIONS.REDO]: redo,
+            [SHORTCUT_ACTIONS.VALIDATE]: () => validate(),
+            [SHORTCUT_ACTIONS.HINT]: getHint,
+            [SHORTCUT_ACTIONS.TOGGLE_PENCIL]: togglePencil
+        };
+        if (actions[action]) {
+            actions[action]();
+        }
+    };
+
+    const changeShortcuts = (newShortcuts) => {
+        setShortcuts(newShortcuts);
+        saveShortcuts(newShortcuts);
+    };
+
+    const addUndoCells = (prevCells, newCells) => {
+        const change = cellsChange(prevCells, newCells);
+        if (change) {
+            setHistory(history => addChange(history, change));
+        }
     };
 
     const addUndoDiff = (coords, prevVal, newVal, prevGuess, newGuess) => {
-        const newUndo = undoHistory.slice(0, undoIndex + 1).concat({
+        setHistory(history => addChange(history, {
             type: UNDO.DIFF,
             coords,
             prevVal,
             newVal,
             prevGuess,
             newGuess
-        });
-        setUndoHistory(newUndo);
-        setUndoIndex(undoIndex + 1);
+        }));
     };
 
     const resetUndo = () => {
-        setUndoHistory([]);
-        setUndoIndex(-1);
+        setHistory(createHistory());
+    };
+
+    // The config before the board setup change being made, see recordUndo
+    const pendingUndo = useRef(undefined);
+
+    /**
+     * Make the board setup change about to be made undoable, as one step
+     * described by label. Must be called before the config is changed, and
+     * the change made with setSetupConfig. prevConfig is the config being
+     * changed, when it may be newer than the one this render has.
+     */
+    const recordUndo = (label, prevConfig = config) => {
+        pendingUndo.current = {label, config: JSON.parse(JSON.stringify(prevConfig))};
+    };
+
+    /**
+     * Set the config after a board setup change, adding the change from the
+     * config recorded by recordUndo as an undo step if anything changed.
+     */
+    const setSetupConfig = (newConfig) => {
+        if (pendingUndo.current !== undefined) {
+            const {label, config: prevConfig} = pendingUndo.current;
+            pendingUndo.current = undefined;
+            const change = configChange(label, prevConfig, newConfig);
+            if (change) {
+                setHistory(history => addChange(history, change));
+            }
+        }
+        setConfig(newConfig);
+    };
+
+    /* Name the current board as a checkpoint to come back to */
+    const addCheckpoint = (name) => {
+        setHistory(history => setCheckpoint(history, history.current, name));
+    };
+
+    const removeCheckpoint = (index) => {
+        setHistory(history => setCheckpoint(history, index, ''));
+    };
+
+    // don't overwrite the autosave from last time before one is chosen
+    const autosaveKey = autosave !== undefined && autosave.key === AUTOSAVE_KEYS[0]
+        ? AUTOSAVE_KEYS[1]
+        : AUTOSAVE_KEYS[0];
+    // the board and history waiting to be autosaved, undefined if there are
+    // no changes since the last autosave
+    const unsaved = useRef(undefined);
+    const autosaveTimeout = useRef(undefined);
+    const lastChange = useRef({config, history});
+
+    const flushAutosave = () => {
+        clearTimeout(autosaveTimeout.current);
+        if (unsaved.current !== undefined) {
+            const {key, config, history} = unsaved.current;
+            unsaved.current = undefined;
+            writeAutosave(key, config, history);
+        }
+    };
+
+    useEffect(() => {
+        writeElapsed(autosaveKey, config.elapsed);
+    }, [config.elapsed, autosaveKey]);
+
+    useEffect(() => {
+        const prev = lastChange.current;
+        lastChange.current = {config, history};
+        if (onlyTimeChanged(prev, config, history)) {
+            return;
+        }
+        // save once the changes stop for a moment instead of on every change
+        unsaved.current = {key: autosaveKey, config, history};
+        clearTimeout(autosaveTimeout.current);
+        autosaveTimeout.current = setTimeout(flushAutosave, AUTOSAVE_DELAY);
+    }, [config, history, autosaveKey]);
+
+    // save what's left when the page is hidden or closed
+    useEventListener('visibilitychange', document, true, () => {
+        if (document.visibilityState === 'hidden') {
+            flushAutosave();
+        }
+    });
+    useEventListener('beforeunload', window, true, flushAutosave);
+    useEffect(() => flushAutosave, []);
+
+    const restoreAutosave = () => {
+        setConfig(setRating(upgrade(autosave.config)));
+        setHistory(autosave.history);
+        setAutosave(undefined);
+        // the board of this visit is given up, the restored one is saved
+        // under the first key from now on
+        clearAutosave(AUTOSAVE_KEYS[1]);
+        setTimerStarted(false);
+        setValidationState(undefined);
+        setSolverState(undefined);
+        setHint(undefined);
+    };
+
+    /* Throw away the autosave and keep the current board */
+    const discardAutosave = () => {
+        clearAutosave(AUTOSAVE_KEYS[1]);
+        unsaved.current = {key: AUTOSAVE_KEYS[0], config, history};
+        flushAutosave();
+        writeElapsed(AUTOSAVE_KEYS[0], config.elapsed);
+        setAutosave(undefined);
     };
 
     return (
         <div className="root"
-             onMouseUp={boardRef.current && ((e) => boardRef.current.onMouseUp(e))}
+             onPointerUp={boardRef.current && ((e) => boardRef.current.onPointerUp(e))}
              ref={rootRef} >
             {props.showVariations && (
                 <div>
                     <a href="https://www.websudoku.com/variations">Variations</a>
                 </div>
             )}
+            {autosave && (
+                <div className="autosave">
+                    Restore the {getTypeName(autosave.config.type)} board
+                    you were working on ({displayTime(autosave.config.elapsed || 0)})?
+                    <button onClick={restoreAutosave}>Restore</button>
+                    <button onClick={discardAutosave}>Discard</button>
+                </div>
+            )}
             <div>
                 <Board ref={boardRef}
                        config={config}
@@ -744,9 +1655,30 @@ export const Sudoku = (props) => {
                        currGuess={currGuess}
                        setCurrGuess={setCurrGuess}
                        rootRef={rootRef}
+                       hintCells={hint ? hint.steps.map(step => step.cells).flat() : []}
+                       hintTargets={hint ? [...hint.steps.map(step => step.targets).flat(), ...(hint.cells || [])] : []}
+                       editingClues={editingClues}
+                       setOutsideClue={setOutsideClue}
+                       symbols={symbols}
+                       cellsInput={cellsInput}
+                       showPad={showPad}
+                       shortcuts={shortcuts}
+                       shortcutAction={shortcutAction}
                        undo={undo}
                        redo={redo} />
             </div>
+            {showPad && (
+                <DigitPad symbols={symbols}
+                          guesses={config.guesses}
+                          currGuess={currGuess}
+                          setCurrGuess={setCurrGuess}
+                          colorMode={padColorMode}
+                          setColorMode={setPadColorMode}
+                          input={(symbol) => cellsInput(selectedCells, symbol)}
+                          setCellsColor={setCellsColor}
+                          undo={undo}
+                          redo={redo} />
+            )}
             <div>
                 <SudokuControls guesses={config.guesses}
                                 currGuess={currGuess}
@@ -754,6 +1686,11 @@ export const Sudoku = (props) => {
                                 setCurrGuess={setCurrGuess}
                                 deleteGuess={deleteGuess}
                                 clearGuess={clearGuess}
+                                autoCandidates={autoCandidates}
+                                toggleAutoCandidates={toggleAutoCandidates}
+                                showPad={showPad}
+                                setShowPad={setShowPad}
+                                fillCandidates={fillBoardCandidates}
                                 dimensions={config.dimensions}
                                 dimensionsCallback={dimensionsCallback}
                                 groups={config.groups}
@@ -763,16 +1700,52 @@ export const Sudoku = (props) => {
                                 chooseCell={chooseCell}
                                 deselectAll={() => setSelectedCells([])}
                                 setCellsColor={setCellsColor}
+                                rules={config.rules}
+                                confirmCage={confirmCage}
+                                setCageSum={setCageSum}
+                                confirmLine={confirmLine}
+                                confirmEdge={confirmEdge}
+                                toggleGlobalRule={toggleGlobalRule}
+                                editingClues={editingClues}
+                                setEditingClues={setEditingClues}
+                                deleteRule={deleteRule}
                                 type={config.type}
                                 setType={setType}
+                                newPuzzle={newPuzzle}
+                                generating={generating}
+                                generateNote={generateNote}
                                 validate={validate}
                                 validationHidden={validationHidden}
                                 hideValidate={hideValidate}
                                 validationState={validationState}
+                                liveValidation={liveValidation}
+                                toggleLiveValidation={toggleLiveValidation}
+                                solveBoard={solveBoard}
+                                solverState={solverState}
+                                rating={config.rating}
+                                rateConfig={rateConfig}
+                                hint={hint}
+                                getHint={getHint}
+                                clearHint={() => setHint(undefined)}
                                 fileName={config.fileName}
                                 fileRef={fileRef}
                                 save={save}
                                 load={load}
+                                savePuzzleString={savePuzzleString}
+                                importPuzzle={importPuzzle}
+                                loadError={loadError}
+                                saveFPuzzles={saveFPuzzles}
+                                getShareLink={getShareLink}
+                                importFPuzzles={importFPuzzles}
+                                droppedFeatures={droppedFeatures}
+                                config={config}
+                                openPuzzle={openPuzzle}
+                                history={history}
+                                goTo={goTo}
+                                addCheckpoint={addCheckpoint}
+                                removeCheckpoint={removeCheckpoint}
+                                shortcuts={shortcuts}
+                                setShortcuts={changeShortcuts}
                                 undo={undo}
                                 redo={redo} />
             </div>
@@ -786,7 +1759,13 @@ export const Sudoku = (props) => {
  * Props:
  * config - object which contains the config for the board
  * {
- *     version: float (curr version 1.1),
+ *     version: float (curr version 1.7),
+ *     rating:      difficulty rating of the puzzle, if its givens have a
+ *                  unique solution (see ratePuzzle)
+ *     {
+ *         difficulty: string,
+ *         technique:  string
+ *     },
  *     dimensions: [height, width],
  *     cells:       list of list of cells, with the correct dimensions
  *     [
@@ -794,7 +1773,9 @@ export const Sudoku = (props) => {
  *             {
  *                 val: n | '',
  *                 guess: i,
- *                 group: i
+ *                 group: i,
+ *                 corner: optional corner marks, see marks.js
+ *                 centre: optional centre marks, see marks.js
  *             },
  *             ...
  *         ],
@@ -806,12 +1787,25 @@ export const Sudoku = (props) => {
  *             color: string
  *         }
  *     ],
+ *     rules:       the list of rules the board is validated and solved with,
+ *                  see rules.js. Set from the type by setType
+ *     [
+ *         {
+ *             type: string,
+ *             ...
+ *         }
+ *     ],
  *     guesses:     the list of guesses
  *     [
  *         {
  *             color: string,
- *             isSmall: false | true (default false),
- *             editable: false | true (default true)
+ *             isSmall: false | true (default false), the guess writes
+ *                      pencil marks,
+ *             corner: false | true (default false), a small guess writes
+ *                     corner marks instead of centre marks,
+ *             editable: false | true (default true),
+ *             solver: false | true (default false), the guess used to
+ *                     fill in answers from the solver
  *         }
  *     ]
  * }
@@ -823,6 +1817,16 @@ export const Sudoku = (props) => {
  * currGuess - current guess
  * setCurrGuess - set current guess
  * rootRef - reference to the root div
+ * hintCells - list of cells involved in the current hint
+ * hintTargets - list of cells changed by the current hint
+ * editingClues - the {type, direction} of the outside clues being typed in,
+ *                undefined if not editing them
+ * setOutsideClue - set the outside clue at a position outside the board
+ * symbols - the symbols of the board
+ * cellsInput - type a symbol into cells, see Sudoku
+ * showPad - bool for if the digit pad is shown
+ * shortcuts - the keyboard shortcut map, see shortcuts.js
+ * shortcutAction - run the action of a shortcut that isn't about a cell
  */
 const Board = React.forwardRef((props, ref) => {
     const [dragging, setDragging] = useState(false);
@@ -863,9 +1867,6 @@ const Board = React.forwardRef((props, ref) => {
     const invisRef = useRef(null);
 
     const checkCells = () => {
-        if (props.chooseCells === undefined) {
-            return;
-        }
         const [x1, y1] = initialCoord;
         const [x2, y2] = secondCoord;
         const [uX, uY] = upperLeft;
@@ -898,14 +1899,11 @@ const Board = React.forwardRef((props, ref) => {
         setDragSelection(inDrag);
     };
 
-    const onMouseMove = (e) => {
+    const onPointerMove = (e) => {
         const [x, y] = [e.pageX, e.pageY];
         const [x1, y1] = initialCoord;
         const [uX, uY] = upperLeft;
         const [lX, lY] = lowerRight;
-        if (props.chooseCells === undefined) {
-            return;
-        }
         if (uX === 0 && uY === 0 && lX === 0 && lY === 0) {
             return;
         }
@@ -928,17 +1926,25 @@ const Board = React.forwardRef((props, ref) => {
             checkCells();
         }
     };
-    // bool to set whether the onMouseMove event listener should be added
-    const [listenMouseMoveEvt, setListenMouseMoveEvt] = useState(false);
-    useEventListener('mousemove', document, listenMouseMoveEvt, onMouseMove);
+    // bool to set whether the pointer event listeners should be added. Pointer
+    // events cover the mouse, touch and pens alike
+    const [listenPointerMoveEvt, setListenPointerMoveEvt] = useState(false);
+    useEventListener('pointermove', document, listenPointerMoveEvt, onPointerMove);
+    // a touch that the browser takes over ends the drag without selecting
+    useEventListener('pointercancel', document, listenPointerMoveEvt, () => {
+        setListenPointerMoveEvt(false);
+        setDragging(false);
+        setInitialCoord([0, 0]);
+        setSecondCoord([0, 0]);
+    });
 
-    const listenMouseMove = () => {
-        setListenMouseMoveEvt(true);
+    const listenPointerMove = () => {
+        setListenPointerMoveEvt(true);
     };
 
-    const onMouseUp = (e) => {
+    const onPointerUp = (e) => {
         const currDragging = dragging;
-        setListenMouseMoveEvt(false);
+        setListenPointerMoveEvt(false);
         setDragging(false);
         setInitialCoord([0, 0]);
         setSecondCoord([0, 0]);
@@ -950,10 +1956,89 @@ const Board = React.forwardRef((props, ref) => {
 
     // Add handles to functions that need to be called in Sudoku
     useImperativeHandle(ref, () => ({
-        onMouseMove,
-        onMouseUp
+        onPointerMove,
+        onPointerUp
     }));
 
+    // Map each cell to the index of the killer cage it's in
+    const cageOf = {};
+    for (const [i, rule] of props.config.rules.entries()) {
+        if (rule.type === RULE_TYPES.CAGE) {
+            for (const [r, c] of rule.cells) {
+                cageOf[`${r},${c}`] = i;
+            }
+        }
+    }
+    const cageProps = (r, c) => {
+        const i = cageOf[`${r},${c}`];
+        if (i === undefined) {
+            return undefined;
+        }
+        const rule = props.config.rules[i];
+        const inCage = (r1, c1) => cageOf[`${r1},${c1}`] === i;
+        const [firstR, firstC] = rule.cells[0];
+        return {
+            top: !inCage(r - 1, c),
+            bottom: !inCage(r + 1, c),
+            left: !inCage(r, c - 1),
+            right: !inCage(r, c + 1),
+            sum: firstR === r && firstC === c ? rule.sum : undefined
+        };
+    };
+
+    // Each edge mark is drawn by the upper or left one of its two cells, and
+    // keeps the index of its rule since an edge can have several marks
+    const edgeMarks = {};
+    for (const [index, rule] of props.config.rules.entries()) {
+        if (!Object.values(EDGE_TYPES).includes(rule.type)) {
+            continue;
+        }
+        const [[r1, c1], [r2, c2]] = rule.cells;
+        const [r, c] = [Math.min(r1, r2), Math.min(c1, c2)];
+        const side = r1 === r2 ? 'right' : 'bottom';
+        // the first cell of an inequality is the greater one
+        const firstIsLess = r1 > r2 || c1 > c2;
+        const labels = {
+            [RULE_TYPES.X]: 'X',
+            [RULE_TYPES.V]: 'V',
+            [RULE_TYPES.GREATER]: side === 'right'
+                ? (firstIsLess ? '<' : '>')
+                : (firstIsLess ? '\u2227' : '\u2228')
+        };
+        const key = `${r},${c}`;
+        edgeMarks[key] = [...(edgeMarks[key] || []), {index, side, type: rule.type, label: labels[rule.type]}];
+    }
+
+    // Outside clues are drawn in a ring of cells around the board, shown if
+    // there are any clues or they are being edited
+    const [height, width] = props.config.dimensions.map(dim => Number(dim));
+    const clueAt = {};
+    for (const rule of props.config.rules) {
+        if (rule.position) {
+            clueAt[`${rule.position}`] = rule;
+        }
+    }
+    const showClues = props.editingClues !== undefined || Object.keys(clueAt).length > 0;
+    const ringCols = [-1, ...Array(width).keys(), width];
+    const clueCell = (r, c) => (
+        <OutsideClue key={`clue ${r}, ${c}`}
+                     clue={clueAt[`${[r, c]}`]}
+                     editable={props.editingClues !== undefined}
+                     onChange={(value) => props.setOutsideClue([r, c], value)} />
+    );
+
+    // While solving, typing into a cell of a selection of several cells types
+    // into all of them
+    const multiSelected = (r, c) => props.chooseCells === undefined && props.selectedCells.length > 1
+        && props.selectedCells.findIndex(cell => cell[0] === r && cell[1] === c) !== -1;
+
+    const hintClass = (r, c) => {
+        const hasCell = (cells) => cells.findIndex(cell => cell[0] === r && cell[1] === c) !== -1;
+        return hasCell(props.hintTargets)
+            ? 'hint_target'
+            : hasCell(props.hintCells) ? 'hint' : '';
+    };
+
     const [x1, y1] = initialCoord;
     const [x2, y2] = secondCoord;
     const rootTop = props.rootRef.current
@@ -972,8 +2057,8 @@ const Board = React.forwardRef((props, ref) => {
         border: '2px dashed #cdb3e3',
         visibility: dragging ? 'visible' : 'hidden'
     };
-    return (
-        <div>
+    const grid = (
+        <div className="board_grid">
             {props.config.cells.map((row, r) => {
                 return (
                     <div className="sudoku_row" key={`row${r}`}>
@@ -989,6 +2074,12 @@ const Board = React.forwardRef((props, ref) => {
                                       selectedCells={props.selectedCells}
                                       selectedCellsCB={props.selectedCellsCB}
                                       validationHidden={props.validationHidden}
+                                      hint={hintClass(r, c)}
+                                      cage={cageProps(r, c)}
+                                      multiSelected={multiSelected(r, c)}
+                                      symbols={props.symbols}
+                                      cellsInput={props.cellsInput}
+                                      edgeMarks={edgeMarks[`${r},${c}`] || []}
                                       invisRef={invisRef}
                                       setBoardState={setBoardState}
                                       initialCoord={initialCoord}
@@ -1001,8 +2092,11 @@ const Board = React.forwardRef((props, ref) => {
                                       checkCells={checkCells}
                                       currGuess={props.currGuess}
                                       setCurrGuess={props.setCurrGuess}
-                                      listenMouseMove={listenMouseMove}
-                                      onMouseUp={onMouseUp}
+                                      listenPointerMove={listenPointerMove}
+                                      onPointerUp={onPointerUp}
+                                      showPad={props.showPad}
+                                      shortcuts={props.shortcuts}
+                                      shortcutAction={props.shortcutAction}
                                       undo={props.undo}
                                       redo={props.redo} />
                             );
@@ -1010,6 +2104,32 @@ const Board = React.forwardRef((props, ref) => {
                     </div>
                 );
             })}
+            <ExtraRegions config={props.config} />
+            <Lines rules={props.config.rules} dimensions={props.config.dimensions} />
+        </div>
+    );
+
+    return (
+        <div>
+            {showClues ? (
+                <div className="outside_frame">
+                    <div className="sudoku_row">
+                        {ringCols.map(c => clueCell(-1, c))}
+                    </div>
+                    <div className="outside_middle">
+                        <div className="outside_column">
+                            {props.config.cells.map((row, r) => clueCell(r, -1))}
+                        </div>
+                        {grid}
+                        <div className="outside_column">
+                            {props.config.cells.map((row, r) => clueCell(r, width))}
+                        </div>
+                    </div>
+                    <div className="sudoku_row">
+                        {ringCols.map(c => clueCell(height, c))}
+                    </div>
+                </div>
+            ) : grid}
             <span
                 ref={invisRef}
                 style={invisStyle}>
@@ -1032,6 +2152,12 @@ const Board = React.forwardRef((props, ref) => {
  * selectedCells - list of selected cells
  * selectedCellsCB - set selected cells
  * validationHidden - boolean to hide validation errors
+ * hint - class for highlighting the cell as part of a hint, '' if none
+ * cage - sides of the killer cage outline to draw and the cage sum, see Cage
+ * multiSelected - bool for if the cell is in a selection of several cells
+ *                 while solving, so typing goes to all of them
+ * symbols - the symbols of the board
+ * cellsInput - type a symbol into cells, see Sudoku
  * invisRef - ref to invisible box
  * setBoardState - set state of the board
  * initialCoord - initial coord of drag
@@ -1044,8 +2170,12 @@ const Board = React.forwardRef((props, ref) => {
  * checkCells - function to check current drag selection
  * currGuess - current guess
  * setCurrGuess - set current guess
- * listenMouseMove - adds mousemove event listener
- * onMouseUp - mouse up event for drag
+ * listenPointerMove - adds the pointermove event listener
+ * onPointerUp - pointer up event for drag
+ * showPad - bool for if the digit pad is shown, so the cell doesn't bring up
+ *           the on-screen keyboard
+ * shortcuts - the keyboard shortcut map, see shortcuts.js
+ * shortcutAction - run the action of a shortcut that isn't about a cell
  */
 const Cell = (props) => {
     // In some cases changing value will lose focus, refocus on change
@@ -1085,8 +2215,13 @@ const Cell = (props) => {
         const dragSelectedSub = props.dragging &&
             props.dragSelection.findIndex(cell => cell[0] === r && cell[1] === c) !== -1 &&
             props.dragType === SELECT_TYPE.SUB;
-        const selected = (props.chooseCells !== undefined && !dragSelectedSub &&
-            props.selectedCells.findIndex(cell => cell[0] === r && cell[1] === c) !== -1) ? 'selected' : '';
+        let selected = '';
+        if (props.chooseCells !== undefined && !dragSelectedSub &&
+            props.selectedCells.findIndex(cell => cell[0] === r && cell[1] === c) !== -1) {
+            selected = 'selected';
+        } else if (props.multiSelected && !dragSelectedSub) {
+            selected = 'multi_selected';
+        }
         if (!topBorder && props.board.cells[r-1][c].group !== group) {
             topBorder = 'top_border_group';
         }
@@ -1099,18 +2234,19 @@ const Cell = (props) => {
         if (!rightBorder && props.board.cells[r][c+1].group !== group) {
             rightBorder = 'right_border_group';
         }
-        const small = guess && guess.isSmall ? 'small' : '';
         const error = (props.config.error && !props.validationHidden) ? 'error' : '';
+        const markError = (props.config.markError && !props.validationHidden) ? 'mark_error' : '';
         // TODO: add symbols between cells?
         return [
             error,
+            markError,
             'default_cell',
             topBorder,
             leftBorder,
             bottomBorder,
             rightBorder,
             selected,
-            small
+            props.hint
         ].filter(w => w !== '').join(' ');
     };
 
@@ -1128,10 +2264,13 @@ const Cell = (props) => {
         ].filter(w => w !== '').join(' ');
     };
 
-    const selectCell = () => {
+    const selectCell = (e) => {
         console.log('mouse click evt');
-        if (props.chooseCells !== undefined) {
+        if (props.chooseCells !== undefined || e.ctrlKey) {
             props.selectedCellsCB(props.coords);
+        } else {
+            // while solving, a click starts a new selection
+            props.selectedCellsCB(props.coords, SELECT_TYPE.ONLY);
         }
     };
 
@@ -1143,59 +2282,90 @@ const Cell = (props) => {
         return readOnly ? 'div' : 'cell';
     };
 
-    const keyDown = (origin) => {
-        return (e) => {
-            const [r, c] = props.coords;
-            const [height, width] = props.dimensions.map(dim => Number(dim));
-            const mod = (m, n) => ((m % n) + n) % n;
-            let r1, c1;
-            if (e.key === 'ArrowUp') {
-                // go up or wrap
-                [r1, c1] = [mod(r - 1, height), c];
-            } else if (e.key === 'ArrowDown') {
-                // go down or wrap
-                [r1, c1] = [mod(r + 1, height), c];
-            } else if (e.key === 'ArrowLeft') {
-                // go left or wrap
-                [r1, c1] = [r, mod(c - 1, width)];
-            } else if (e.key === 'ArrowRight') {
-                // go right or wrap
-                [r1, c1] = [r, mod(c + 1, width)];
+    const keyDown = (e) => {
+        const [r, c] = props.coords;
+        const [height, width] = props.dimensions.map(dim => Number(dim));
+        const mod = (m, n) => ((m % n) + n) % n;
+        const {action, symbol} = findShortcut(props.shortcuts, eventCombo(e), props.symbols) || {};
+        const current = props.board.guesses[props.currGuess];
+        const marking = current !== undefined && current.isSmall;
+        const targets = props.multiSelected ? props.selectedCells : [props.coords];
+        const handled = () => {
+            // stop the div from handling the key again
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        let r1, c1;
+        if (action === SHORTCUT_ACTIONS.MOVE_UP) {
+            // go up or wrap
+            [r1, c1] = [mod(r - 1, height), c];
+        } else if (action === SHORTCUT_ACTIONS.MOVE_DOWN) {
+            // go down or wrap
+            [r1, c1] = [mod(r + 1, height), c];
+        } else if (action === SHORTCUT_ACTIONS.MOVE_LEFT) {
+            // go left or wrap
+            [r1, c1] = [r, mod(c - 1, width)];
+        } else if (action === SHORTCUT_ACTIONS.MOVE_RIGHT) {
+            // go right or wrap
+            [r1, c1] = [r, mod(c + 1, width)];
+        } else if (action === SHORTCUT_ACTIONS.NEXT_EMPTY) {
+            // the next empty cell that can be typed in, in reading order
+            for (let i = 1; i <= height * width; i++) {
+                const j = (r * width + c + i) % (height * width);
+                const [r2, c2] = [Math.floor(j / width), j % width];
+                if (props.board.cells[r2][c2].val === '' && cellOrDiv(r2, c2) === 'cell') {
+                    [r1, c1] = [r2, c2];
+                    break;
+                }
             }
+        }
 
-            if (r1 !== undefined && c1 !== undefined) {
-                document.getElementById(`${cellOrDiv(r1, c1)}_${r1}_${c1}`).focus();
-
-                // If input, then stop propagation to stop div from doing anything
-                if (origin === 'input') {
-                    e.stopPropagation();
-                }
-            } else if (!isNaN(e.key) && e.altKey) {
-                // Alt+NUM hotkey to set guess
-                const newGuess = Number(e.key);
-                if (newGuess < props.board.guesses.length) {
-                    props.setCurrGuess(newGuess);
-                }
-                setDidHotKey(true);
-            } else if (e.key === 'z' && e.ctrlKey && !e.shiftKey) {
-                e.preventDefault();
-                props.undo();
-            } else if (e.key === 'Z' && e.ctrlKey && e.shiftKey) {
-                e.preventDefault();
-                props.redo();
+        if (r1 !== undefined && c1 !== undefined) {
+            handled();
+            document.getElementById(`${cellOrDiv(r1, c1)}_${r1}_${c1}`).focus();
+        } else if (action === SHORTCUT_ACTIONS.CORNER_MARK || action === SHORTCUT_ACTIONS.CENTRE_MARK) {
+            handled();
+            props.cellsInput(targets, symbol, action === SHORTCUT_ACTIONS.CORNER_MARK
+                ? MARK_KINDS.CORNER
+                : MARK_KINDS.CENTRE);
+        } else if (action === SHORTCUT_ACTIONS.SWITCH_GUESS) {
+            handled();
+            const newGuess = Number(symbol);
+            if (newGuess < props.board.guesses.length) {
+                props.setCurrGuess(newGuess);
             }
-        };
+            setDidHotKey(true);
+        } else if (action !== undefined) {
+            handled();
+            props.shortcutAction(action);
+            setDidHotKey(true);
+        } else if (props.symbols.includes(keySymbol(e)) && !e.ctrlKey && !e.altKey && !e.metaKey
+                   && (!e.shiftKey || /^[A-Z]$/.test(keySymbol(e))) && (props.multiSelected || marking)) {
+            // toggle a mark, or type into every selected cell instead of
+            // just this one
+            handled();
+            props.cellsInput(targets, keySymbol(e));
+        } else if ((e.key === 'Backspace' || e.key === 'Delete')
+                   && (props.multiSelected || (props.config.val === '' && hasMarks(props.config)))) {
+            handled();
+            props.cellsInput(targets, '');
+        }
     };
 
-    const onMouseDown = (e) => {
+    const onPointerDown = (e) => {
         // in order to prevent overlap with onclick, we set initial coord here,
-        // but only officially start dragging when mouse moves out of cell
+        // but only officially start dragging when the pointer moves out of cell
         const [x, y] = [e.pageX, e.pageY];
+        // a touch sends every event to the cell it started on, let the pointer
+        // up go to the cell it ends on instead so a drag isn't also a click
+        if (e.target.hasPointerCapture && e.target.hasPointerCapture(e.pointerId)) {
+            e.target.releasePointerCapture(e.pointerId);
+        }
         props.setBoardState({
             initialCoord: [x, y],
             secondCoord: [x, y]
         });
-        props.listenMouseMove();
+        props.listenPointerMove();
     };
 
     const [r, c] = props.coords;
@@ -1216,140 +2386,824 @@ const Cell = (props) => {
         style.color = guess.color;
     }
 
-    const isSmall = (props.config.guess !== -1 && props.board.guesses[props.config.guess].isSmall) ||
-        (props.config.guess === -1 && props.currGuess !== -1 && props.board.guesses[props.currGuess].isSmall);
-    const [height, width] = props.dimensions;
-    const div = document.getElementById(divId);
-    if (r === 0 && c === 0 && div) {
-        const rect = div.getBoundingClientRect();
-        const upperLeft = [
-            rect.left + window.scrollX,
-            rect.top + window.scrollY
-        ];
-        if (upperLeft[0] !== props.upperLeft[0] || upperLeft[1] !== props.upperLeft[1]) {
-            props.setBoardState({upperLeft});
+    const [height, width] = props.dimensions;
+    const div = document.getElementById(divId);
+    if (r === 0 && c === 0 && div) {
+        const rect = div.getBoundingClientRect();
+        const upperLeft = [
+            rect.left + window.scrollX,
+            rect.top + window.scrollY
+        ];
+        if (upperLeft[0] !== props.upperLeft[0] || upperLeft[1] !== props.upperLeft[1]) {
+            props.setBoardState({upperLeft});
+        }
+    } else if (r === height - 1 && c === width - 1 && div) {
+        const rect = div.getBoundingClientRect();
+        const lowerRight = [
+            rect.right + window.scrollX,
+            rect.bottom + window.scrollY
+        ];
+        if (lowerRight[0] !== props.lowerRight[0] || lowerRight[1] !== props.lowerRight[1]) {
+            props.setBoardState({lowerRight});
+        }
+    }
+
+    return (
+        <div id={divId}
+            className={divClasses()}
+            onClick={selectCell}
+            onKeyDown={keyDown}
+            onPointerDown={onPointerDown}
+            onPointerUp={props.onPointerUp}
+            tabIndex={0}>
+            {corners.map(corner => (
+                <Corner
+                    corner={corner}
+                    coords={props.coords}
+                    cells={props.board.cells}
+                    dimensions={props.dimensions} />
+            ))}
+            {props.edgeMarks.map(mark => (
+                <EdgeMark key={mark.index} side={mark.side} type={mark.type} label={mark.label} />
+            ))}
+            {props.cage && <Cage cage={props.cage} />}
+            <input type="text"
+                id={id}
+                className={cellClasses()}
+                style={style}
+                value={props.config.val}
+                onChange={(e) => {
+                    props.cellValCallback(r, c, e.target.value);
+                }}
+                onKeyDown={keyDown}
+                inputMode={props.showPad ? 'none' : undefined}
+                disabled={!editable} />
+            {props.config.val === '' && hasMarks(props.config) && (
+                <Marks cell={props.config} symbols={props.symbols} guesses={props.board.guesses} />
+            )}
+        </div>
+    );
+}
+
+/**
+ * Draws the pencil marks of a cell over it: the centre marks in a grid with a
+ * fixed place for every symbol, and the corner marks around the edge in the
+ * order of their symbols (see CORNER_POSITIONS).
+ * Props:
+ * cell - cell config
+ * symbols - the symbols of the board
+ * guesses - the guesses of the board, for the colors of the marks
+ */
+const Marks = (props) => {
+    const columns = Math.ceil(Math.sqrt(props.symbols.length));
+    const colorOf = (kind, symbol) => {
+        const guess = props.guesses[props.cell[kind][symbol]];
+        return guess ? guess.color : undefined;
+    };
+    const centre = getMarks(props.cell, MARK_KINDS.CENTRE);
+    return (
+        <div className="marks">
+            {centre.length > 0 && (
+                <div className="centre_marks" style={{gridTemplateColumns: `repeat(${columns}, 1fr)`}}>
+                    {props.symbols.map(symbol => (
+                        <span key={symbol} style={{color: centre.includes(symbol) ? colorOf(MARK_KINDS.CENTRE, symbol) : undefined}}>
+                            {centre.includes(symbol) ? symbol : ''}
+                        </span>
+                    ))}
+                </div>
+            )}
+            {getMarks(props.cell, MARK_KINDS.CORNER).map((symbol, i) => {
+                const [x, y] = CORNER_POSITIONS[i % CORNER_POSITIONS.length];
+                return (
+                    <span key={symbol}
+                        className="corner_mark"
+                        style={{left: `${x * 100}%`, top: `${y * 100}%`, color: colorOf(MARK_KINDS.CORNER, symbol)}}>
+                        {symbol}
+                    </span>
+                );
+            })}
+        </div>
+    );
+};
+
+/**
+ * Fills in the corner of the border. Needed in groups with non-rectangular
+ * shapes.
+ * Props:
+ * corner - whether a corner is in the upper-right, upper-left, etc.
+ * coords - the coordinates of the cell of this corner
+ * cells - the cells of the sudoku board
+ * dimensions - the board dimensions
+ */
+const Corner = (props) => {
+    const ref = useRef(null);
+    const getRect = () => ref.current && ref.current.getBoundingClientRect();
+
+    const needCorner = () => {
+        const r = props.coords[0],
+              c = props.coords[1];
+        const group = props.cells[r][c].group;
+        const topBorder = r === 0;
+        const leftBorder = c === 0;
+        const bottomBorder = r === props.dimensions[0] - 1;
+        const rightBorder = c === props.dimensions[1] - 1;
+
+        if (props.corner === LOCATIONS.UPPER_RIGHT) {
+            if (topBorder || rightBorder) {
+                return false;
+            }
+            if (!(group === props.cells[r][c+1].group &&
+                  group === props.cells[r-1][c].group &&
+                  group !== props.cells[r-1][c+1].group)) {
+                return false;
+            }
+        } else if (props.corner === LOCATIONS.UPPER_LEFT) {
+            if (topBorder || leftBorder) {
+                return false;
+            }
+            if (!(group === props.cells[r][c-1].group &&
+                  group === props.cells[r-1][c].group &&
+                  group !== props.cells[r-1][c-1].group)) {
+                return false;
+            }
+        } else if (props.corner === LOCATIONS.LOWER_RIGHT) {
+            if (bottomBorder || rightBorder) {
+                return false;
+            }
+            if (!(group === props.cells[r][c+1].group &&
+                  group === props.cells[r+1][c].group &&
+                  group !== props.cells[r+1][c+1].group)) {
+                return false;
+            }
+        } else if (props.corner === LOCATIONS.LOWER_LEFT) {
+            if (bottomBorder || leftBorder) {
+                return false;
+            }
+            if (!(group === props.cells[r][c-1].group &&
+                  group === props.cells[r+1][c].group &&
+                  group !== props.cells[r+1][c-1].group)) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    const style = {visibility: needCorner() ? 'visible' : 'hidden'};
+    return (
+        <div className={'corner ' + props.corner} style={style} ref={ref}>
+        </div>
+    );
+};
+
+/**
+ * Draws the dashed outline of a killer cage inside a cell, with the sum of the
+ * cage in the corner of its first cell.
+ * Props:
+ * cage - object describing the outline in this cell
+ * {
+ *     top, bottom, left, right: bool for if that side is on the cage border,
+ *     sum: sum to show in this cell, undefined if none
+ * }
+ */
+const Cage = (props) => {
+    const {top, bottom, left, right, sum} = props.cage;
+    // Borders are drawn inset from the cell edge, sides inside the cage reach
+    // the edge so the outline continues into the next cell
+    const inset = 4;
+    const style = {
+        top: top ? inset : 0,
+        bottom: bottom ? inset : 0,
+        left: left ? inset : 0,
+        right: right ? inset : 0,
+        borderTopWidth: top ? 1 : 0,
+        borderBottomWidth: bottom ? 1 : 0,
+        borderLeftWidth: left ? 1 : 0,
+        borderRightWidth: right ? 1 : 0
+    };
+    return (
+        <div className="cage" style={style}>
+            {sum !== undefined && <span className="cage_sum">{sum}</span>}
+        </div>
+    );
+};
+
+/**
+ * A cell in the ring around the board that holds an outside clue.
+ * Props:
+ * clue - the outside clue rule at this position, undefined if none
+ * editable - whether the clue can be typed in
+ * onChange - called with the new value of the clue
+ */
+const OutsideClue = (props) => {
+    const {clue} = props;
+    let value = '', arrow = '';
+    if (clue) {
+        value = clue.type === RULE_TYPES.SKYSCRAPER ? clue.count : clue.sum;
+    }
+    if (clue && clue.type === RULE_TYPES.LITTLE_KILLER) {
+        arrow = Object.keys(LITTLE_KILLER_DIRECTIONS).find(key => {
+            const [dr, dc] = LITTLE_KILLER_DIRECTIONS[key];
+            return dr === clue.direction[0] && dc === clue.direction[1];
+        });
+    }
+    return (
+        <div className={`outside_cell ${clue ? clue.type : ''}`}>
+            {props.editable ? (
+                <input type="text"
+                       className="outside_input"
+                       value={value}
+                       onChange={(e) => props.onChange(e.target.value)} />
+            ) : (
+                <span>{value}</span>
+            )}
+            {arrow && <span className="clue_arrow">{arrow}</span>}
+        </div>
+    );
+};
+
+/**
+ * Draws a mark on the border between two cells, centered on the right or
+ * bottom edge of the cell it is drawn in.
+ * Props:
+ * side - 'right' or 'bottom'
+ * type - one of EDGE_TYPES
+ * label - text shown in the mark, undefined for dots
+ */
+const EdgeMark = (props) => (
+    <div className={`edge_mark ${props.side} ${props.type}`}>
+        {props.label}
+    </div>
+);
+
+/**
+ * Shades the extra regions of a Windoku board as an SVG overlay. Draws nothing
+ * if the Windoku rule is off.
+ * Props:
+ * config - the sudoku config
+ */
+const ExtraRegions = (props) => {
+    if (!props.config.rules.some(rule => rule.type === RULE_TYPES.WINDOKU)) {
+        return null;
+    }
+    const [height, width] = props.config.dimensions.map(dim => Number(dim));
+    return (
+        <svg className="extra_regions" width={width * CELL_SIZE} height={height * CELL_SIZE}>
+            {getWindokuRegions(props.config).map((region, i) => {
+                const rows = region.map(([r, c]) => r);
+                const cols = region.map(([r, c]) => c);
+                const [top, left] = [Math.min(...rows), Math.min(...cols)];
+                return (
+                    <rect key={`region_${i}`}
+                          className="extra_region"
+                          x={left * CELL_SIZE}
+                          y={top * CELL_SIZE}
+                          width={(Math.max(...cols) - left + 1) * CELL_SIZE}
+                          height={(Math.max(...rows) - top + 1) * CELL_SIZE} />
+                );
+            })}
+        </svg>
+    );
+};
+
+/**
+ * Draws the line rules (thermometers, arrows and palindromes) as an SVG overlay
+ * on top of the board.
+ * Props:
+ * rules - list of rules of the board, rules that aren't lines are skipped
+ * dimensions - the board dimensions
+ */
+const Lines = (props) => {
+    const [height, width] = props.dimensions.map(dim => Number(dim));
+    const center = ([r, c]) => [c * CELL_SIZE + CELL_SIZE / 2, r * CELL_SIZE + CELL_SIZE / 2];
+    const toPoints = (points) => points.map(point => point.join(',')).join(' ');
+    const radius = CELL_SIZE * 0.35;
+
+    const drawLine = (rule, i) => {
+        const points = rule.cells.map(center);
+        const [cx, cy] = points[0];
+        switch (rule.type) {
+            case RULE_TYPES.THERMO:
+                return (
+                    <g key={`line_${i}`}>
+                        <circle className="thermo_bulb" cx={cx} cy={cy} r={radius} />
+                        <polyline className="thermo_line" points={toPoints(points)} />
+                    </g>
+                );
+            case RULE_TYPES.ARROW:
+                // start the arrow at the edge of the circle
+                const [nx, ny] = points[1];
+                const length = Math.hypot(nx - cx, ny - cy);
+                const start = [cx + (nx - cx) * radius / length, cy + (ny - cy) * radius / length];
+                return (
+                    <g key={`line_${i}`}>
+                        <circle className="arrow_circle" cx={cx} cy={cy} r={radius} />
+                        <polyline className="arrow_line" points={toPoints([start, ...points.slice(1)])}
+                                  markerEnd="url(#arrow_head)" />
+                    </g>
+                );
+            case RULE_TYPES.PALINDROME:
+                return <polyline key={`line_${i}`} className="palindrome_line" points={toPoints(points)} />;
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <svg className="lines" width={width * CELL_SIZE} height={height * CELL_SIZE}>
+            <defs>
+                <marker id="arrow_head" markerWidth={10} markerHeight={10} refX={8} refY={5} orient="auto"
+                        markerUnits="userSpaceOnUse">
+                    <polyline points="0,0 8,5 0,10" fill="none" stroke="#aaaaaa" strokeWidth={2} />
+                </marker>
+            </defs>
+            {props.rules.map((rule, i) => rule.cells && rule.cells.length > 1 && drawLine(rule, i))}
+        </svg>
+    );
+};
+
+/**
+ * An on-screen pad for typing into the selected cells without a keyboard, for
+ * touch screens. The mode switch picks what the buttons do: write big values,
+ * toggle centre or corner marks, or color the cells. The modes for values and
+ * marks switch the current guess.
+ * Props:
+ * symbols - the symbols of the board
+ * guesses - the guesses of the board
+ * currGuess - current guess
+ * setCurrGuess - set current guess
+ * colorMode - bool for if the buttons color the cells
+ * setColorMode - set colorMode
+ * input - type a symbol into the selected cells, '' to clear them
+ * setCellsColor - color the selected cells, undefined to clear their color
+ * undo - undo the last change
+ * redo - redo the last undone change
+ */
+const DigitPad = (props) => {
+    const current = props.guesses[props.currGuess];
+    const mode = props.colorMode
+        ? PAD_MODES.COLOR
+        : current && current.isSmall ? markKind(current) : PAD_MODES.BIG;
+
+    // the guess each mode writes with, -1 if the board has none
+    const bigGuess = current && !current.isSmall
+        ? props.currGuess
+        : props.guesses.findIndex(guess => !guess.isSmall && guess.editable);
+    const modeGuess = {
+        [PAD_MODES.BIG]: bigGuess,
+        [PAD_MODES.CENTRE]: getMarkGuess({guesses: props.guesses}, props.currGuess, MARK_KINDS.CENTRE),
+        [PAD_MODES.CORNER]: getMarkGuess({guesses: props.guesses}, props.currGuess, MARK_KINDS.CORNER)
+    };
+    const modeNames = {
+        [PAD_MODES.BIG]: 'Big',
+        [PAD_MODES.CENTRE]: 'Centre',
+        [PAD_MODES.CORNER]: 'Corner',
+        [PAD_MODES.COLOR]: 'Color'
+    };
+
+    const setMode = (newMode) => {
+        props.setColorMode(newMode === PAD_MODES.COLOR);
+        if (newMode !== PAD_MODES.COLOR) {
+            props.setCurrGuess(modeGuess[newMode]);
+        }
+    };
+
+    const keys = mode === PAD_MODES.COLOR ? PAD_COLORS : props.symbols;
+    const columns = Math.ceil(Math.sqrt(keys.length));
+    return (
+        <div className="digit_pad">
+            <div className="digit_pad_modes">
+                {Object.values(PAD_MODES).map(m => (
+                    <button key={m}
+                            className={m === mode ? 'digit_pad_mode_selected' : ''}
+                            disabled={m !== PAD_MODES.COLOR && modeGuess[m] === -1}
+                            onClick={() => setMode(m)}>
+                        {modeNames[m]}
+                    </button>
+                ))}
+            </div>
+            <div className="digit_pad_keys" style={{gridTemplateColumns: `repeat(${columns}, 1fr)`}}>
+                {keys.map(key => mode === PAD_MODES.COLOR ? (
+                    <button key={key}
+                            style={{backgroundColor: key}}
+                            onClick={() => props.setCellsColor(key)}>
+                        &nbsp;
+                    </button>
+                ) : (
+                    <button key={key} onClick={() => props.input(key)}>{key}</button>
+                ))}
+            </div>
+            <div className="digit_pad_modes">
+                <button onClick={() => mode === PAD_MODES.COLOR ? props.setCellsColor(undefined) : props.input('')}>
+                    Clear
+                </button>
+                <button onClick={props.undo}>Undo</button>
+                <button onClick={props.redo}>Redo</button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * A small picture of a board for the library, with the group and cell colors,
+ * and the filled in cells marked in the color of their guess.
+ * Props:
+ * config - the sudoku config
+ */
+const Thumbnail = (props) => {
+    const [height, width] = props.config.dimensions;
+    const size = Math.max(2, Math.floor(THUMBNAIL_SIZE / Math.max(height, width, 1)));
+    return (
+        <svg className="thumbnail" width={width * size} height={height * size}>
+            {props.config.cells.map((row, r) => row.map((cell, c) => {
+                const group = props.config.groups[cell.group];
+                const guess = props.config.guesses[cell.guess];
+                return (
+                    <g key={`${r},${c}`}>
+                        <rect x={c * size} y={r * size} width={size} height={size}
+                              fill={cell.color || (group && group.color) || '#ffffff'}
+                              stroke="#2f4f4f" strokeWidth={0.5} />
+                        {cell.val !== '' && guess && (
+                            <rect x={(c + 0.25) * size} y={(r + 0.25) * size} width={size / 2} height={size / 2}
+                                  fill={guess.color} />
+                        )}
+                    </g>
+                );
+            }))}
+        </svg>
+    );
+};
+
+/* Whether a board is solved, started, or has only its givens filled in */
+const getProgress = (config) => {
+    const rules = expandRules(config);
+    const {isValid, isFilled} = checkRules(config, rules);
+    if (rules.length > 0 && isValid && isFilled) {
+        return 'Solved';
+    }
+    const started = config.cells.some(row => row.some(cell => {
+        const guess = config.guesses[cell.guess];
+        return cell.val !== '' && guess && guess.editable !== false;
+    }));
+    return started ? 'In progress' : 'Not started';
+};
+
+/**
+ * The puzzles saved in the library (see library.js), which can be opened,
+ * overwritten with the current board, renamed, duplicated and deleted. The
+ * whole library can be exported and imported as one JSON file.
+ * Props:
+ * rateConfig - rates the current sudoku config and returns it, it is what
+ *              gets saved
+ * openPuzzle - load a board from a puzzle in the library, returns why it
+ *              couldn't be opened, undefined if it was
+ */
+const Library = (props) => {
+    const [puzzles, setPuzzles] = useState(undefined);
+    const [error, setError] = useState(undefined);
+    const [renaming, setRenaming] = useState(undefined);
+    const [newName, setNewName] = useState('');
+    const bundleRef = useRef(null);
+
+    const refresh = () => listPuzzles().then(setPuzzles, e => setError(e.message));
+
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    // refresh the list once a change to the library is done
+    const update = (promise) => promise.then(() => {
+        setError(undefined);
+        return refresh();
+    }, e => setError(e.message));
+
+    const saveNew = () => {
+        const config = props.rateConfig();
+        update(savePuzzle({name: getPuzzleName(config), config}));
+    };
+
+    const startRename = (puzzle) => {
+        setRenaming(puzzle.id);
+        setNewName(puzzle.name);
+    };
+
+    const confirmRename = (puzzle) => {
+        setRenaming(undefined);
+        if (newName.trim() !== '') {
+            update(renamePuzzle(puzzle, newName.trim()));
+        }
+    };
+
+    const remove = (puzzle) => {
+        if (window.confirm(`Delete ${puzzle.name} from the library?`)) {
+            update(deletePuzzle(puzzle.id));
+        }
+    };
+
+    const exportBundle = () => exportLibrary().then(bundle => {
+        const a = document.createElement('a');
+        const file = new Blob([JSON.stringify(bundle, null, 2)], {type: 'application/json'});
+        a.href = URL.createObjectURL(file);
+        a.download = 'sudoku_library.json';
+        a.click();
+    }, e => setError(e.message));
+
+    const importBundle = () => {
+        const file = bundleRef.current.files[0];
+        if (!file) {
+            return;
+        }
+        update(file.text().then(text => importLibrary(JSON.parse(text))))
+            .then(() => bundleRef.current.value = '');
+    };
+
+    return (
+        <div className="library">
+            {error && <div className="error">{error}</div>}
+            <div>
+                <button onClick={saveNew}>Save to Library</button>
+                <button onClick={exportBundle}>Export Library</button>
+            </div>
+            <div>
+                <input type="file" accept=".json" ref={bundleRef} />
+                <button onClick={importBundle}>Import Library</button>
+            </div>
+            {puzzles && puzzles.length === 0 && <div>No saved puzzles yet.</div>}
+            {puzzles && puzzles.map(puzzle => (
+                <div key={puzzle.id} className="library_entry">
+                    <Thumbnail config={puzzle.config} />
+                    <div className="library_info">
+                        {renaming === puzzle.id ? (
+                            <div>
+                                <input type="text" value={newName} autoFocus
+                                       onChange={(e) => setNewName(e.target.value)}
+                                       onKeyDown={(e) => e.key === 'Enter' && confirmRename(puzzle)} />
+                                <button onClick={() => confirmRename(puzzle)}>OK</button>
+                                <button onClick={() => setRenaming(undefined)}>Cancel</button>
+                            </div>
+                        ) : (
+                            <div className="library_name">{puzzle.name}</div>
+                        )}
+                        <div>
+                            {getTypeName(puzzle.config.type)}
+                            {' · '}
+                            {puzzle.config.rating ? displayRating(puzzle.config.rating) : 'Unrated'}
+                            {' · '}
+                            {displayTime(puzzle.config.elapsed || 0)}
+                            {' · '}
+                            {getProgress(puzzle.config)}
+                        </div>
+                        <div>Saved {new Date(puzzle.savedAt).toLocaleString()}</div>
+                        <div>
+                            <button onClick={() => setError(props.openPuzzle(puzzle))}>Open</button>
+                            <button onClick={() => update(savePuzzle({...puzzle, config: props.rateConfig()}))}>Save Here</button>
+                            <button onClick={() => startRename(puzzle)}>Rename</button>
+                            <button onClick={() => update(duplicatePuzzle(puzzle))}>Duplicate</button>
+                            <button onClick={() => remove(puzzle)}>Delete</button>
+                        </div>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Saves the board as an SVG image, and prints sheets of puzzles chosen from the
+ * current board and the library (see print.js).
+ * Props:
+ * config - the current sudoku config
+ */
+const Print = (props) => {
+    const [pencilMarks, setPencilMarks] = useState(false);
+    const [perPage, setPerPage] = useState(1);
+    const [puzzles, setPuzzles] = useState([]);
+    // ids of the library puzzles to print, CURRENT_BOARD for the current board
+    const [chosen, setChosen] = useState([CURRENT_BOARD]);
+    const [error, setError] = useState(undefined);
+
+    useEffect(() => {
+        listPuzzles().then(setPuzzles, e => setError(e.message));
+    }, []);
+
+    const toggleChosen = (id) => {
+        setChosen(chosen.includes(id) ? chosen.filter(other => other !== id) : [...chosen, id]);
+    };
+
+    const saveSVG = () => {
+        const a = document.createElement('a');
+        const file = new Blob([boardToSVG(props.config, {pencilMarks})], {type: 'image/svg+xml'});
+        a.href = URL.createObjectURL(file);
+        a.download = (props.config.fileName || 'sudoku.json').replace(/\.json$/, '') + '.svg';
+        a.click();
+    };
+
+    const printSheet = () => {
+        const current = {id: CURRENT_BOARD, name: getPuzzleName(props.config), config: props.config};
+        const sheet = [current, ...puzzles]
+            .filter(puzzle => chosen.includes(puzzle.id))
+            .map(puzzle => ({name: puzzle.name, svg: boardToSVG(puzzle.config, {pencilMarks})}));
+        if (sheet.length === 0) {
+            setError('Choose the puzzles to print.');
+            return;
+        }
+        const page = window.open('', '_blank');
+        if (!page) {
+            setError('Allow pop-ups for this page to print.');
+            return;
+        }
+        setError(undefined);
+        page.document.write(printPage(sheet, perPage));
+        page.document.close();
+        page.focus();
+        page.print();
+    };
+
+    return (
+        <div>
+            {error && <div className="error">{error}</div>}
+            <div>
+                Pencil Marks: <input type="checkbox" checked={pencilMarks} onChange={() => setPencilMarks(!pencilMarks)} />
+                <button onClick={saveSVG}>Save SVG</button>
+            </div>
+            <div>
+                <input type="checkbox" checked={chosen.includes(CURRENT_BOARD)}
+                       onChange={() => toggleChosen(CURRENT_BOARD)} />
+                Current board
+            </div>
+            {puzzles.map(puzzle => (
+                <div key={puzzle.id}>
+                    <input type="checkbox" checked={chosen.includes(puzzle.id)}
+                           onChange={() => toggleChosen(puzzle.id)} />
+                    {puzzle.name}
+                </div>
+            ))}
+            <div>
+                Puzzles per Page:
+                <select value={perPage} onChange={(e) => setPerPage(Number(e.target.value))}>
+                    {PUZZLES_PER_PAGE.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+                <button onClick={printSheet}>Print</button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * The keyboard shortcut of every action. Combos can be removed, and added by
+ * clicking Add and then pressing them.
+ * Props:
+ * shortcuts - the keyboard shortcut map, see shortcuts.js
+ * setShortcuts - change and save the shortcut map
+ */
+const ShortcutsPanel = (props) => {
+    // the action a combo is being recorded for, undefined if none
+    const [recording, setRecording] = useState(undefined);
+    useEventListener('keydown', window, recording !== undefined, (e) => {
+        const combo = eventCombo(e);
+        if (combo === undefined) {
+            return;
         }
-    } else if (r === height - 1 && c === width - 1 && div) {
-        const rect = div.getBoundingClientRect();
-        const lowerRight = [
-            rect.right + window.scrollX,
-            rect.bottom + window.scrollY
-        ];
-        if (lowerRight[0] !== props.lowerRight[0] || lowerRight[1] !== props.lowerRight[1]) {
-            props.setBoardState({lowerRight});
+        e.preventDefault();
+        e.stopPropagation();
+        if (combo !== 'Escape') {
+            props.setShortcuts(addShortcut(props.shortcuts, recording, combo));
         }
-    }
+        setRecording(undefined);
+    });
+
+    const addPreset = (keys) => {
+        const actions = [
+            SHORTCUT_ACTIONS.MOVE_UP,
+            SHORTCUT_ACTIONS.MOVE_DOWN,
+            SHORTCUT_ACTIONS.MOVE_LEFT,
+            SHORTCUT_ACTIONS.MOVE_RIGHT
+        ];
+        props.setShortcuts(actions.reduce((shortcuts, action, i) => addShortcut(shortcuts, action, keys[i]), props.shortcuts));
+    };
 
     return (
-        <div id={divId}
-            className={divClasses()}
-            onClick={selectCell}
-            onKeyDown={keyDown('div')}
-            onMouseDown={onMouseDown}
-            onMouseUp={props.onMouseUp}
-            tabIndex={0}>
-            {corners.map(corner => (
-                <Corner
-                    corner={corner}
-                    coords={props.coords}
-                    cells={props.board.cells}
-                    dimensions={props.dimensions} />
-            ))}
-            {!isSmall && (
-                <input type="text"
-                    id={id}
-                    className={cellClasses()}
-                    style={style}
-                    value={props.config.val}
-                    onChange={(e) => {
-                        props.cellValCallback(r, c, e.target.value);
-                    }}
-                    onKeyDown={keyDown('input')}
-                    disabled={!editable} />
-            )}
-            {isSmall && (
-                <textarea
-                    id={id}
-                    className={cellClasses()}
-                    style={style}
-                    value={props.config.val}
-                    onChange={(e) => {
-                        props.cellValCallback(r, c, e.target.value);
-                    }}
-                    onKeyDown={keyDown('input')}
-                    disabled={!editable}
-                    rows={3}
-                    cols={3} />
-            )}
+        <div>
+            <div>
+                # is any symbol, or the number of the guess. Shortcuts come before
+                typing, so a symbol of the board bound on its own, like A on a
+                16 x 16 board, can't be typed while it is a shortcut. # only
+                stands for a letter with Shift and another modifier, like
+                Ctrl+Shift+#, since Shift+A types the symbol A and Ctrl+A and
+                the like are browser shortcuts.
+            </div>
+            <table className="shortcuts">
+                <tbody>
+                    {Object.values(SHORTCUT_ACTIONS).map(action => (
+                        <tr key={action}>
+                            <td>{SHORTCUT_NAMES[action]}</td>
+                            <td>
+                                {props.shortcuts[action].map(combo => (
+                                    <span key={combo} className="shortcut_combo">
+                                        {combo}
+                                        <button onClick={() => props.setShortcuts(removeShortcut(props.shortcuts, action, combo))}>x</button>
+                                    </span>
+                                ))}
+                                <button onClick={() => setRecording(action)}>
+                                    {recording === action ? 'Press keys (Esc to cancel)' : 'Add'}
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div>
+                {Object.entries(MOVEMENT_PRESETS).map(([name, keys]) => (
+                    <button key={name} onClick={() => addPreset(keys)}>Add {name} Movement</button>
+                ))}
+                <button onClick={() => props.setShortcuts({...DEFAULT_SHORTCUTS})}>Reset to Defaults</button>
+            </div>
         </div>
     );
-}
+};
 
 /**
- * Fills in the corner of the border. Needed in groups with non-rectangular
- * shapes.
+ * The undo history as a tree, where each move can be clicked to go back to
+ * the board after it, with the named checkpoints listed above it.
  * Props:
- * corner - whether a corner is in the upper-right, upper-left, etc.
- * coords - the coordinates of the cell of this corner
- * cells - the cells of the sudoku board
- * dimensions - the board dimensions
+ * history - the undo history, see history.js
+ * goTo - move the board to a node of the history
+ * addCheckpoint - name the current board as a checkpoint
+ * removeCheckpoint - stop a node being a checkpoint
  */
-const Corner = (props) => {
-    const ref = useRef(null);
-    const getRect = () => ref.current && ref.current.getBoundingClientRect();
+const HistoryPanel = (props) => {
+    const [name, setName] = useState('');
+    const {nodes, current} = props.history;
+    const children = getChildren(props.history);
+    const checkpoints = [...nodes.keys()].filter(i => nodes[i].name !== undefined);
+
+    const describe = (i) => {
+        const change = nodes[i].change;
+        if (change === undefined) {
+            return 'Start';
+        }
+        if (change.type === UNDO.DIFF) {
+            const [r, c] = change.coords;
+            return `r${r + 1}c${c + 1}: ${change.newVal === '' ? 'cleared' : change.newVal}`;
+        }
+        if (change.type === UNDO.CONFIG) {
+            return change.label;
+        }
+        return `${change.cells.length} cells`;
+    };
 
-    const needCorner = () => {
-        const r = props.coords[0],
-              c = props.coords[1];
-        const group = props.cells[r][c].group;
-        const topBorder = r === 0;
-        const leftBorder = c === 0;
-        const bottomBorder = r === props.dimensions[0] - 1;
-        const rightBorder = c === props.dimensions[1] - 1;
+    const entry = (i) => (
+        <span className={`history_entry ${i === current ? 'history_current' : ''}`}
+              onClick={() => props.goTo(i)}>
+            {describe(i)}
+            {nodes[i].name !== undefined && <span className="history_checkpoint"> [{nodes[i].name}]</span>}
+        </span>
+    );
 
-        if (props.corner === LOCATIONS.UPPER_RIGHT) {
-            if (topBorder || rightBorder) {
-                return false;
-            }
-            if (!(group === props.cells[r][c+1].group &&
-                  group === props.cells[r-1][c].group &&
-                  group !== props.cells[r-1][c+1].group)) {
-                return false;
-            }
-        } else if (props.corner === LOCATIONS.UPPER_LEFT) {
-            if (topBorder || leftBorder) {
-                return false;
-            }
-            if (!(group === props.cells[r][c-1].group &&
-                  group === props.cells[r-1][c].group &&
-                  group !== props.cells[r-1][c-1].group)) {
-                return false;
-            }
-        } else if (props.corner === LOCATIONS.LOWER_RIGHT) {
-            if (bottomBorder || rightBorder) {
-                return false;
-            }
-            if (!(group === props.cells[r][c+1].group &&
-                  group === props.cells[r+1][c].group &&
-                  group !== props.cells[r+1][c+1].group)) {
-                return false;
-            }
-        } else if (props.corner === LOCATIONS.LOWER_LEFT) {
-            if (bottomBorder || leftBorder) {
-                return false;
-            }
-            if (!(group === props.cells[r][c-1].group &&
-                  group === props.cells[r+1][c].group &&
-                  group !== props.cells[r+1][c-1].group)) {
-                return false;
-            }
+    // Lists the moves from start on: the first branch at each move carries on
+    // in the same list, and the later branches are indented under the move
+    const branch = (start) => {
+        const items = [];
+        for (let i = start; i !== undefined; i = children[i][0]) {
+            const others = children[i].slice(1);
+            items.push(
+                <li key={i}>
+                    {entry(i)}
+                    {others.length > 0 && (
+                        <ul className="history_branches">
+                            {others.map(other => <li key={other}>{branch(other)}</li>)}
+                        </ul>
+                    )}
+                </li>
+            );
+        }
+        return <ul className="history_list">{items}</ul>;
+    };
+
+    const confirmCheckpoint = () => {
+        if (name.trim() !== '') {
+            props.addCheckpoint(name.trim());
+            setName('');
         }
-        return true;
     };
 
-    const style = {visibility: needCorner() ? 'visible' : 'hidden'};
     return (
-        <div className={'corner ' + props.corner} style={style} ref={ref}>
+        <div>
+            <div>
+                Checkpoint:
+                <input type="text" value={name} placeholder="before bifurcation on r4c5"
+                       onChange={(e) => setName(e.target.value)}
+                       onKeyDown={(e) => e.key === 'Enter' && confirmCheckpoint()} />
+                <button onClick={confirmCheckpoint}>Add Checkpoint</button>
+            </div>
+            {checkpoints.map(i => (
+                <div key={i}>
+                    <button onClick={() => props.goTo(i)}>Go to {nodes[i].name}</button>
+                    <button onClick={() => props.removeCheckpoint(i)}>Remove</button>
+                </div>
+            ))}
+            <div className="history">
+                {branch(0)}
+            </div>
         </div>
     );
 };
@@ -1363,6 +3217,11 @@ const Corner = (props) => {
  * setCurrGuess - set currGuess callback
  * deleteGuess - delete a guess
  * clearGuess - clear all inputs with this guess
+ * autoCandidates - bool for if candidates are filled in and removed automatically
+ * toggleAutoCandidates - toggle autoCandidates, filling in candidates when turned on
+ * fillCandidates - fill every empty cell with its candidates
+ * showPad - bool for if the digit pad is shown
+ * setShowPad - show or hide the digit pad
  * dimensions - dimensions of the sudoku board
  * dimensionsCallback - set dimensions callback
  * groups - list of groups (see above comment)
@@ -1372,16 +3231,56 @@ const Corner = (props) => {
  * chooseCell - choose a cell (when defining a group)
  * deselectAll - deselect all currently selected cells for a group
  * setCellsColor - set color for selected cells
+ * rules - list of rules of the board, see rules.js
+ * confirmCage - add the selected cells as a killer cage with a sum
+ * setCageSum - set the sum of the killer cage at an index of rules
+ * confirmLine - add the selected cells as a line rule of a type of LINE_TYPES
+ * confirmEdge - add edge marks between the selected cells, of a type of EDGE_TYPES
+ * toggleGlobalRule - turn a rule of GLOBAL_RULE_TYPES on or off
+ * editingClues - the {type, direction} of the outside clues being edited
+ * setEditingClues - start or stop editing outside clues
+ * deleteRule - delete the rule at an index of rules
  * type - type of the sudoku board
  * setType - set sudoku board type
+ * newPuzzle - generate a new puzzle of a type and difficulty
+ * generating - bool for if a new puzzle is being generated
+ * generateNote - why the last generated puzzle isn't what was asked for,
+ *                undefined if it is
  * validate - validate sudoku board
  * validationHidden - bool for if validation message should be hidden
  * hideValidate - set validationHidden
  * validationState - current validation state
+ * liveValidation - bool for if the changed cell is checked on every input
+ * toggleLiveValidation - toggle liveValidation
+ * solveBoard - run the solver, filling in the board if the argument is true
+ * solverState - result of the last solver run, one of SOLVE_STATUS
+ * rating - difficulty rating of the puzzle, undefined if not rated
+ * rateConfig - rate the puzzle if it isn't rated yet, returns the rated config
+ * hint - result of the last hint, see findHint
+ * getHint - find a hint for the current board
+ * clearHint - remove the current hint
  * fileName - filename of the sudoku config
  * fileRef - ref to file upload widget
  * save - save config function
  * load - load config function
+ * savePuzzleString - save the puzzle string to a text file
+ * importPuzzle - load a board from a puzzle string
+ * loadError - message for why the last load failed, undefined if it didn't
+ * saveFPuzzles - save the board as an f-puzzles JSON file
+ * getShareLink - returns a link that opens the current board
+ * importFPuzzles - load a board from an f-puzzles puzzle or link
+ * droppedFeatures - features of the last imported f-puzzles puzzle that
+ *                   couldn't be converted
+ * config - the sudoku config, for saving to the library, printing and the
+ *          puzzle string and f-puzzles links
+ * openPuzzle - load a board from a puzzle in the library, returns why it
+ *              couldn't be opened, undefined if it was
+ * history - the undo history, see history.js
+ * goTo - move the board to a node of the history
+ * addCheckpoint - name the current board as a checkpoint
+ * removeCheckpoint - stop a node of the history being a checkpoint
+ * shortcuts - the keyboard shortcut map, see shortcuts.js
+ * setShortcuts - change and save the shortcut map
  * undo - perform undo
  * redo - perform redo
  */
@@ -1393,8 +3292,22 @@ const SudokuControls = (props) => {
     const [choosingForGroup, setChoosingForGroup] = useState(undefined);
     const [cellsColor, setCellsColor] = useState('');
     const [selectedHeader, setSelectedHeader] = useState('');
-
-    const types = ['12 x 12', '16 x 16', 'Samurai', 'Squiggly', 'X', 'Default', 'Other'];
+    const [puzzleType, setPuzzleType] = useState(SUDOKU_TYPES['Default']);
+    const [puzzleDifficulty, setPuzzleDifficulty] = useState(DIFFICULTIES['Medium']);
+    // the config that was last rated without a unique solution
+    const [unratable, setUnratable] = useState(undefined);
+    const [cageSum, setCageSum] = useState('');
+    const [lineType, setLineType] = useState(RULE_TYPES.THERMO);
+    const [edgeType, setEdgeType] = useState(RULE_TYPES.WHITE_DOT);
+    const [clueType, setClueType] = useState(RULE_TYPES.SANDWICH);
+    const [puzzleText, setPuzzleText] = useState('');
+    const [fPuzzlesText, setFPuzzlesText] = useState('');
+    const [shareLink, setShareLink] = useState(undefined);
+    const [linkCopied, setLinkCopied] = useState(false);
+    const [clueDirection, setClueDirection] = useState(Object.keys(LITTLE_KILLER_DIRECTIONS)[0]);
+
+    const types = ['12 x 12', '16 x 16', 'Samurai', 'Squiggly', 'X', 'Killer', 'Default', 'Other'];
+    const puzzleTypes = types.filter(type => type !== 'Other' && type !== 'Killer');
 
     const showContent = (id) => {
         if (choosingForGroup !== undefined) {
@@ -1416,7 +3329,7 @@ const SudokuControls = (props) => {
 
     const setGuessCheck = (i, field, value) => {
         const guesses = [...props.guesses];
-        guesses[i][field] = value;
+        guesses[i] = {...guesses[i], [field]: value};
         props.setGuesses(guesses);
     };
 
@@ -1432,7 +3345,7 @@ const SudokuControls = (props) => {
     const submitGuessColor = (i) => {
         const newGuessColors = {...guessColors};
         const guesses = [...props.guesses];
-        guesses[i].color = guessColors[i].color;
+        guesses[i] = {...guesses[i], color: guessColors[i].color};
         props.setGuesses(guesses);
         delete newGuessColors[i];
         setGuessColors(newGuessColors);
@@ -1463,6 +3376,47 @@ const SudokuControls = (props) => {
         }
     };
 
+    const confirmCage = () => {
+        setChoosingForGroup(undefined);
+        props.confirmCage(cageSum === '' ? NaN : Number(cageSum));
+        setCageSum('');
+    };
+
+    const confirmLine = () => {
+        setChoosingForGroup(undefined);
+        props.confirmLine(lineType);
+    };
+
+    const confirmEdge = () => {
+        setChoosingForGroup(undefined);
+        props.confirmEdge(edgeType);
+    };
+
+    /* Make a share link and copy it to the clipboard if allowed */
+    const shareBoard = () => {
+        const link = props.getShareLink();
+        setShareLink(link);
+        setLinkCopied(false);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).then(() => setLinkCopied(true), () => {});
+        }
+    };
+
+    /* Pick the type of outside clue to type in, and keep editing if already */
+    const pickClue = (type, direction) => {
+        setClueType(type);
+        setClueDirection(direction);
+        if (props.editingClues !== undefined) {
+            props.setEditingClues({type, direction: LITTLE_KILLER_DIRECTIONS[direction]});
+        }
+    };
+
+    const toggleEditingClues = () => {
+        props.setEditingClues(props.editingClues !== undefined
+            ? undefined
+            : {type: clueType, direction: LITTLE_KILLER_DIRECTIONS[clueDirection]});
+    };
+
     const submitCellsColor = (e) => {
         if (e) {
             e.preventDefault();
@@ -1499,6 +3453,31 @@ const SudokuControls = (props) => {
                 id: 'groups',
                 onClick: () => showContent('groups')
             },
+            {
+                name: 'Cages',
+                id: 'cages',
+                onClick: () => showContent('cages')
+            },
+            {
+                name: 'Lines',
+                id: 'lines',
+                onClick: () => showContent('lines')
+            },
+            {
+                name: 'Edges',
+                id: 'edges',
+                onClick: () => showContent('edges')
+            },
+            {
+                name: 'Outside Clues',
+                id: 'outside_clues',
+                onClick: () => showContent('outside_clues')
+            },
+            {
+                name: 'Variants',
+                id: 'variants',
+                onClick: () => showContent('variants')
+            },
             {
                 name: 'Default',
                 id: 'default',
@@ -1509,16 +3488,51 @@ const SudokuControls = (props) => {
                 id: 'validate',
                 onClick: () => showContent('validate')
             },
+            {
+                name: 'New Puzzle',
+                id: 'new_puzzle',
+                onClick: () => showContent('new_puzzle')
+            },
+            {
+                name: 'Hint',
+                id: 'hint',
+                onClick: () => {
+                    props.getHint();
+                    if (selectedHeader !== 'hint') {
+                        showContent('hint');
+                    }
+                }
+            },
             {
                 name: 'Save',
                 id: 'save',
-                onClick: () => props.save()
+                onClick: () => showContent('save')
             },
             {
                 name: 'Load',
                 id: 'load',
                 onClick: () => showContent('load')
             },
+            {
+                name: 'Library',
+                id: 'library',
+                onClick: () => showContent('library')
+            },
+            {
+                name: 'Print',
+                id: 'print',
+                onClick: () => showContent('print')
+            },
+            {
+                name: 'History',
+                id: 'history',
+                onClick: () => showContent('history')
+            },
+            {
+                name: 'Controls',
+                id: 'controls',
+                onClick: () => showContent('controls')
+            },
             {
                 name: '⇦',
                 id: 'undo',
@@ -1540,6 +3554,13 @@ const SudokuControls = (props) => {
         return {
             'guesses': () => (
                 <div className="controls_contents">
+                    <div>
+                        Auto Candidates: <input type="checkbox" checked={props.autoCandidates} onChange={props.toggleAutoCandidates} />
+                        <button onClick={props.fillCandidates}>Fill Candidates</button>
+                    </div>
+                    <div>
+                        Digit Pad: <input type="checkbox" checked={props.showPad} onChange={(e) => props.setShowPad(e.target.checked)} />
+                    </div>
                     {props.guesses.map((guess, i) => {
                         const displayStyle = {color: props.guesses[i].color};
                         if (props.guesses[i].isSmall) {
@@ -1559,11 +3580,16 @@ const SudokuControls = (props) => {
                                     <div>
                                         Is Small: <input type="checkbox" checked={props.guesses[i].isSmall} onChange={(e) => setGuessCheck(i, 'isSmall', e.target.checked)} />
                                     </div>
+                                    {props.guesses[i].isSmall && (
+                                        <div>
+                                            Corner Marks: <input type="checkbox" checked={Boolean(props.guesses[i].corner)} onChange={(e) => setGuessCheck(i, 'corner', e.target.checked)} />
+                                        </div>
+                                    )}
                                     <div>
                                         Editable: <input type="checkbox" checked={props.guesses[i].editable} onChange={(e) => setGuessCheck(i, 'editable', e.target.checked)} />
                                     </div>
                                     <div>
-                                        {(i > 2) && <button onClick={() => props.deleteGuess(i)}>Delete</button>}
+                                        {(i > 3) && <button onClick={() => props.deleteGuess(i)}>Delete</button>}
                                         {<button onClick={() => props.clearGuess(i)}>Clear</button>}
                                     </div>
                                 </div>
@@ -1618,6 +3644,140 @@ const SudokuControls = (props) => {
                     <button onClick={clearGroups}>Clear Groups</button>
                 </div>
             ),
+            'cages': () => (
+                <div className="controls_contents">
+                    {props.rules.map((rule, i) => rule.type === RULE_TYPES.CAGE && (
+                        <div key={`cage_${i}`}>
+                            Cage at r{rule.cells[0][0] + 1}c{rule.cells[0][1] + 1}: Sum
+                            <input type="text" className="single_number_input"
+                                   value={rule.sum !== undefined ? rule.sum : ''}
+                                   onChange={(e) => props.setCageSum(i, e.target.value)} />
+                            <button onClick={() => props.deleteRule(i)}>X</button>
+                        </div>
+                    ))}
+                    <div>
+                        {choosingForGroup === 'cage' && (
+                            <span>
+                                Sum
+                                <input type="text" className="single_number_input" value={cageSum}
+                                       onChange={(e) => setCageSum(e.target.value)} />
+                            </span>
+                        )}
+                        <button onClick={() => choosingForGroup === 'cage' ? confirmCage() : chooseCell('cage')}
+                                disabled={choosingForGroup !== undefined && choosingForGroup !== 'cage'}>
+                            {choosingForGroup === 'cage' ? 'Confirm' : 'New Cage'}
+                        </button>
+                        {choosingForGroup === 'cage' && (
+                            <button onClick={props.deselectAll}>Deselect All</button>
+                        )}
+                    </div>
+                </div>
+            ),
+            'lines': () => (
+                <div className="controls_contents">
+                    {props.rules.map((rule, i) => {
+                        const name = Object.keys(LINE_TYPES).find(name => LINE_TYPES[name] === rule.type);
+                        return name && (
+                            <div key={`line_${i}`}>
+                                {name} from r{rule.cells[0][0] + 1}c{rule.cells[0][1] + 1}
+                                <button onClick={() => props.deleteRule(i)}>X</button>
+                            </div>
+                        );
+                    })}
+                    <div>
+                        <select onChange={(e) => setLineType(e.target.value)} value={lineType}
+                                disabled={choosingForGroup === 'line'}>
+                            {Object.entries(LINE_TYPES).map(([name, type]) => (
+                                <option key={type} value={type}>{name}</option>
+                            ))}
+                        </select>
+                        <button onClick={() => choosingForGroup === 'line' ? confirmLine() : chooseCell('line')}
+                                disabled={choosingForGroup !== undefined && choosingForGroup !== 'line'}>
+                            {choosingForGroup === 'line' ? 'Confirm' : 'New Line'}
+                        </button>
+                        {choosingForGroup === 'line' && (
+                            <button onClick={props.deselectAll}>Deselect All</button>
+                        )}
+                    </div>
+                    <div>
+                        Click the cells of the line in order, starting from the bulb of a
+                        thermometer or the circle of an arrow.
+                    </div>
+                </div>
+            ),
+            'edges': () => (
+                <div className="controls_contents">
+                    {props.rules.map((rule, i) => {
+                        const name = Object.keys(EDGE_TYPES).find(name => EDGE_TYPES[name] === rule.type);
+                        const [[r1, c1], [r2, c2]] = name ? rule.cells : [[], []];
+                        return name && (
+                            <div key={`edge_${i}`}>
+                                {name} between r{r1 + 1}c{c1 + 1} and r{r2 + 1}c{c2 + 1}
+                                <button onClick={() => props.deleteRule(i)}>X</button>
+                            </div>
+                        );
+                    })}
+                    <div>
+                        <select onChange={(e) => setEdgeType(e.target.value)} value={edgeType}
+                                disabled={choosingForGroup === 'edge'}>
+                            {Object.entries(EDGE_TYPES).map(([name, type]) => (
+                                <option key={type} value={type}>{name}</option>
+                            ))}
+                        </select>
+                        <button onClick={() => choosingForGroup === 'edge' ? confirmEdge() : chooseCell('edge')}
+                                disabled={choosingForGroup !== undefined && choosingForGroup !== 'edge'}>
+                            {choosingForGroup === 'edge' ? 'Confirm' : 'New Marks'}
+                        </button>
+                        {choosingForGroup === 'edge' && (
+                            <button onClick={props.deselectAll}>Deselect All</button>
+                        )}
+                    </div>
+                    <div>
+                        Click pairs of neighbouring cells one after the other, a mark is placed
+                        between each pair. For greater than signs click the greater cell first.
+                    </div>
+                </div>
+            ),
+            'outside_clues': () => (
+                <div className="controls_contents">
+                    <div>
+                        <select onChange={(e) => pickClue(e.target.value, clueDirection)} value={clueType}>
+                            {Object.entries(CLUE_TYPES).map(([name, type]) => (
+                                <option key={type} value={type}>{name}</option>
+                            ))}
+                        </select>
+                        {clueType === RULE_TYPES.LITTLE_KILLER && (
+                            <select onChange={(e) => pickClue(clueType, e.target.value)} value={clueDirection}>
+                                {Object.keys(LITTLE_KILLER_DIRECTIONS).map(arrow => (
+                                    <option key={arrow} value={arrow}>{arrow}</option>
+                                ))}
+                            </select>
+                        )}
+                        <button onClick={toggleEditingClues}>
+                            {props.editingClues !== undefined ? 'Done' : 'Edit Clues'}
+                        </button>
+                    </div>
+                    <div>
+                        Type the clues in the cells around the board. Sandwich and skyscraper
+                        clues look along their row or column, little killer clues along the
+                        diagonal in the direction of the arrow.
+                    </div>
+                </div>
+            ),
+            'variants': () => (
+                <div className="controls_contents">
+                    {Object.entries(GLOBAL_RULE_TYPES).map(([name, type]) => (
+                        <div key={type}>
+                            {name}: <input type="checkbox"
+                                           checked={props.rules.some(rule => rule.type === type)}
+                                           onChange={() => props.toggleGlobalRule(type)} />
+                        </div>
+                    ))}
+                    <div>
+                        These rules apply to the whole board on top of the rules of its type.
+                    </div>
+                </div>
+            ),
             'validate': () => (
                 <div className="controls_contents">
                     <div>
@@ -1638,17 +3798,159 @@ const SudokuControls = (props) => {
                         <button onClick={() => props.validate()}>Validate</button>
                         <button onClick={props.hideValidate}>{props.validationHidden ? 'Show' : 'Hide'}</button>
                     </div>
+                    <div>
+                        Live Checking: <input type="checkbox" checked={props.liveValidation} onChange={props.toggleLiveValidation} />
+                    </div>
+                    <div>
+                        {props.rating ? (
+                            <div>Difficulty: {displayRating(props.rating)}</div>
+                        ) : (
+                            <div>
+                                Difficulty: not rated
+                                <button onClick={() => setUnratable(props.rateConfig())}>Rate</button>
+                                {unratable === props.config && (
+                                    <span className="error"> The givens don't have a unique solution.</span>
+                                )}
+                            </div>
+                        )}
+                        {props.solverState && (
+                            <div className={props.solverState !== SOLVE_STATUS.SOLVED ? 'error' : ''}>
+                                {SOLVER_MSGS[props.solverState]}
+                            </div>
+                        )}
+                        <button onClick={() => props.solveBoard(false)}>Check Solvable</button>
+                        <button onClick={() => props.solveBoard(true)}>Solve</button>
+                    </div>
+                </div>
+            ),
+            'new_puzzle': () => (
+                <div className="controls_contents">
+                    <div className="error">Note: generating a new puzzle will reset the board!!!</div>
+                    <select onChange={(e) => setPuzzleType(e.target.value)} value={puzzleType}>
+                        {puzzleTypes.map(type => {
+                            let typeVal = SUDOKU_TYPES[type];
+                            return <option key={typeVal} value={typeVal}>{type}</option>
+                        })}
+                    </select>
+                    <select onChange={(e) => setPuzzleDifficulty(e.target.value)} value={puzzleDifficulty}>
+                        {Object.entries(DIFFICULTIES).map(([name, difficulty]) => (
+                            <option key={difficulty} value={difficulty}>{name}</option>
+                        ))}
+                    </select>
+                    <button onClick={() => props.newPuzzle(puzzleType, puzzleDifficulty)} disabled={props.generating}>
+                        {props.generating ? 'Generating...' : 'Generate'}
+                    </button>
+                    {props.generateNote && <div className="error">{props.generateNote}</div>}
+                </div>
+            ),
+            'hint': () => (
+                <div className="controls_contents">
+                    {props.hint && props.hint.status !== HINT_STATUS.FOUND && (
+                        <div className="error">{HINT_MSGS[props.hint.status]}</div>
+                    )}
+                    {props.hint && props.hint.steps.map((step, i) => (
+                        <div key={`hint_${i}`}>
+                            <b>{TECHNIQUES[step.technique].name}:</b> {step.explanation}
+                        </div>
+                    ))}
+                    <div>
+                        <button onClick={props.getHint}>Get Hint</button>
+                        <button onClick={props.clearHint}>Clear Hint</button>
+                    </div>
                 </div>
             ),
+            'save': () => {
+                // only converted while the tab is open, not on every render
+                const puzzleString = toPuzzleString(props.config);
+                const fPuzzles = toFPuzzles(props.config);
+                return (
+                    <div className="controls_contents">
+                        <div>
+                            <button onClick={props.save}>Save Config</button>
+                            <button onClick={shareBoard}>Share Link</button>
+                        </div>
+                        {shareLink && (
+                            <div>
+                                <input type="text" readOnly value={shareLink} onFocus={(e) => e.target.select()} />
+                                {linkCopied && <span> Copied!</span>}
+                            </div>
+                        )}
+                        {puzzleString !== undefined ? (
+                            <div>
+                                Puzzle String:
+                                <input type="text" readOnly value={puzzleString}
+                                       onFocus={(e) => e.target.select()} />
+                                <button onClick={props.savePuzzleString}>Save as Text</button>
+                            </div>
+                        ) : (
+                            <div>This board can't be written as a puzzle string.</div>
+                        )}
+                        {fPuzzles !== undefined ? (
+                            <div>
+                                Open in <a href={getFPuzzlesLinks(fPuzzles.puzzle).fpuzzles} target="_blank">f-puzzles</a>
+                                {' or '}
+                                <a href={getFPuzzlesLinks(fPuzzles.puzzle).sudokupad} target="_blank">SudokuPad</a>
+                                <button onClick={props.saveFPuzzles}>Save f-puzzles JSON</button>
+                                {fPuzzles.dropped.length > 0 && (
+                                    <div className="error">
+                                        Not supported by f-puzzles: {fPuzzles.dropped.join(', ')}
+                                    </div>
+                                )}
+                            </div>
+                        ) : (
+                            <div>This board can't be converted to f-puzzles.</div>
+                        )}
+                    </div>
+                );
+            },
             'load': () => (
                 <div className="controls_contents">
                     {props.fileName && <div>Current file: {props.fileName}</div>}
+                    {props.loadError && <div className="error">{props.loadError}</div>}
                     <div>
-                        <input id="load" type="file" accept=".json" ref={props.fileRef} />
+                        <input id="load" type="file" accept=".json,.txt" ref={props.fileRef} />
                     </div>
                     <div>
                         <button onClick={props.load}>Parse Config</button>
                     </div>
+                    <div>
+                        Puzzle String:
+                        <input type="text" value={puzzleText} onChange={(e) => setPuzzleText(e.target.value)} />
+                        <button onClick={() => props.importPuzzle(puzzleText)}>Import String</button>
+                    </div>
+                    <div>
+                        f-puzzles / SudokuPad:
+                        <input type="text" value={fPuzzlesText} onChange={(e) => setFPuzzlesText(e.target.value)} />
+                        <button onClick={() => props.importFPuzzles(fPuzzlesText)}>Import Puzzle</button>
+                    </div>
+                    {props.droppedFeatures.length > 0 && (
+                        <div className="error">
+                            Dropped features that aren't supported: {props.droppedFeatures.join(', ')}
+                        </div>
+                    )}
+                </div>
+            ),
+            'library': () => (
+                <div className="controls_contents">
+                    <Library rateConfig={props.rateConfig} openPuzzle={props.openPuzzle} />
+                </div>
+            ),
+            'print': () => (
+                <div className="controls_contents">
+                    <Print config={props.config} />
+                </div>
+            ),
+            'history': () => (
+                <div className="controls_contents">
+                    <HistoryPanel history={props.history}
+                                  goTo={props.goTo}
+                                  addCheckpoint={props.addCheckpoint}
+                                  removeCheckpoint={props.removeCheckpoint} />
+                </div>
+            ),
+            'controls': () => (
+                <div className="controls_contents">
+                    <ShortcutsPanel shortcuts={props.shortcuts} setShortcuts={props.setShortcuts} />
                 </div>
             )
         };